@@ -1,5 +1,14 @@
 window.CONFIG = {
   MAX_SEARCH_RESULTS: 100,
   AUTO_SAVE_INTERVAL_MS: 2000,
-  MAX_HISTORY_SIZE: 100
+  MAX_HISTORY_SIZE: 100,
+  // Browser build only: 'auto' (IndexedDB when available) or 'localstorage' (Electron always uses files)
+  STORAGE_BACKEND: 'auto',
+  // Barcode scanners: keys this close together form a scan once it reaches SCANNER_MIN_LENGTH
+  SCANNER_MAX_KEY_INTERVAL_MS: 30,
+  SCANNER_MIN_LENGTH: 4,
+  // Optional characters the scanner is programmed to send before/after each code ('' = none).
+  // Enter and Tab always end a scan.
+  SCANNER_PREFIX: '',
+  SCANNER_SUFFIX: ''
 };
@@ -6,26 +6,18 @@
 // State tracking (UI specific)
 let currentBox = null;
 let editingItemId = null;
+let detailsItemId = null; // Item whose details (condition, value, SKU, note) are open for editing in its row
+let selectedItemIds = new Set(); // Items ticked in the current box, for moving/splitting
+let operators = [];
+let currentOperator = null;
+let skuTable = {}; // Scanned code -> item name
+let tagRegistry = []; // Known tags, kept for the station
+let tagFilter = null; // Tag the item list and progress grid are narrowed to
 let recentLocations = [];
 const RECENT_LOCATIONS_MAX = 6;
 
-// Import Data helpers from global window.BoxData (populated by data.js)
-const {
-    currentSession,
-    saveStateToHistory,
-    undo,
-    redo,
-    saveToStorage,
-    autoSave,
-    ensureBoxExists,
-    normalizeBoxNumber,
-    normalizeShelfLocation,
-    isShelfLocation,
-    parseLocationInput,
-    parseQuantity,
-    loadSession,
-    startNewSession
-} = window.BoxData;
+// Data helpers (saveToStorage, normalizeBoxNumber, parseQuantity, ...) are globals declared by data.js.
+// Session state is always read through window.BoxData.currentSession, which tracks the live session.
 
 
 // --- UI Helpers ---
@@ -55,6 +47,54 @@ function showSaveError(message) {
 // Expose for data.js to use
 window.showSaveError = showSaveError;
 
+/**
+ * Updates the footer save indicator.
+ * @param {'saving'|'saved'|'error'} state
+ * @param {string} [message] - Error detail, shown as a tooltip.
+ */
+function showSaveStatus(state, message) {
+    const statusEl = document.getElementById('saveStatus');
+    if (!statusEl) return;
+    statusEl.className = `save-status ${state}`;
+    if (state === 'saving') {
+        statusEl.textContent = 'Saving…';
+        statusEl.title = '';
+    } else if (state === 'saved') {
+        statusEl.textContent = `Saved ${new Date().toLocaleTimeString()}`;
+        statusEl.title = `Stored in ${window.BoxData.getStorage().name} storage`;
+        updateStorageUsage(false);
+    } else {
+        statusEl.textContent = 'Not saved';
+        statusEl.title = message || '';
+    }
+}
+window.showSaveStatus = showSaveStatus;
+
+const STORAGE_USAGE_REFRESH_MS = 15000;
+const STORAGE_USAGE_WARN_RATIO = 0.8;
+let lastStorageUsageCheck = 0;
+
+// Shows how much of the browser's storage quota the audit uses (hidden where unknown)
+function updateStorageUsage(force) {
+    const usageEl = document.getElementById('storageUsage');
+    const storage = window.BoxData.getStorage();
+    if (!usageEl || !storage.estimateUsage) return;
+    if (!force && Date.now() - lastStorageUsageCheck < STORAGE_USAGE_REFRESH_MS) return;
+    lastStorageUsageCheck = Date.now();
+    
+    storage.estimateUsage().then(estimate => {
+        if (!estimate) return;
+        const ratio = Math.min(estimate.usage / estimate.quota, 1);
+        usageEl.innerHTML = `
+            <div>Storage: ${formatFileSize(estimate.usage)} of ${formatFileSize(estimate.quota)} (${(ratio * 100).toFixed(ratio < 0.01 ? 2 : 0)}%)</div>
+            <div class="storage-usage-bar"><div class="storage-usage-fill" style="width: ${(ratio * 100).toFixed(1)}%"></div></div>
+        `;
+        usageEl.classList.toggle('warn', ratio >= STORAGE_USAGE_WARN_RATIO);
+        usageEl.title = `${storage.name} storage`;
+        usageEl.style.display = 'block';
+    }).catch(() => {});
+}
+
 function flashSuccess() {
     document.body.classList.add('flash-success');
     setTimeout(() => {
@@ -62,6 +102,14 @@ function flashSuccess() {
     }, 300);
 }
 
+function showToast(message) {
+    const toast = document.createElement('div');
+    toast.className = 'toast-feedback';
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 2500);
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -85,321 +133,2782 @@ function showDuplicateWarning(message) {
 }
 
 
-// --- Search & Recents ---
+// --- Modal ---
 
-function addRecentLocation(locationKey) {
-    if (!locationKey) return;
-    recentLocations = recentLocations.filter(loc => loc !== locationKey);
-    recentLocations.unshift(locationKey);
-    if (recentLocations.length > RECENT_LOCATIONS_MAX) {
-        recentLocations = recentLocations.slice(0, RECENT_LOCATIONS_MAX);
+function isModalOpen() {
+    const overlay = document.getElementById('modalOverlay');
+    return !!overlay && overlay.style.display !== 'none';
+}
+
+/**
+ * Opens the shared modal dialog.
+ * @param {string} title - Header text.
+ * @param {string} bodyHtml - Pre-escaped HTML for the body.
+ * @param {Array<{label: string, className?: string, onClick: Function}>} [actions] - Footer buttons.
+ * @returns {HTMLElement} The modal body element, for wiring up controls inside it.
+ */
+function openModal(title, bodyHtml, actions = []) {
+    const overlay = document.getElementById('modalOverlay');
+    document.getElementById('modalTitle').textContent = title;
+    // Fresh body element so listeners from a previous open (or re-render) are dropped
+    const staleBodyEl = document.getElementById('modalBody');
+    const bodyEl = staleBodyEl.cloneNode(false);
+    staleBodyEl.replaceWith(bodyEl);
+    bodyEl.innerHTML = bodyHtml;
+    
+    const actionsEl = document.getElementById('modalActions');
+    actionsEl.innerHTML = '';
+    for (const action of actions) {
+        const btn = document.createElement('button');
+        btn.className = `btn-small ${action.className || ''}`.trim();
+        btn.textContent = action.label;
+        btn.addEventListener('click', action.onClick);
+        actionsEl.appendChild(btn);
     }
+    
+    overlay.style.display = 'flex';
+    return bodyEl;
 }
 
-function renderRecentLocations() {
-    const container = document.getElementById('recentLocations');
-    if (!container) return;
-    if (!recentLocations.length) {
-        container.innerHTML = '';
-        return;
+function closeModal() {
+    const overlay = document.getElementById('modalOverlay');
+    if (!overlay) return;
+    overlay.style.display = 'none';
+    document.getElementById('modalBody').innerHTML = '';
+    document.getElementById('modalActions').innerHTML = '';
+    focusInput();
+}
+
+
+// --- Operators ---
+
+// Operators belong to the station, not the session, so they persist across audits
+const OPERATORS_STORAGE_KEY = 'boxAuditOperators';
+const OPERATOR_EDIT_VALUE = '__edit__';
+
+function loadOperators() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(OPERATORS_STORAGE_KEY) || 'null');
+        if (saved && Array.isArray(saved.operators)) {
+            operators = saved.operators.filter(name => typeof name === 'string' && name.trim());
+            currentOperator = operators.includes(saved.current) ? saved.current : null;
+        }
+    } catch (e) {
+        console.warn('Could not read operators:', e);
     }
-    container.innerHTML = recentLocations.map(loc => {
-        return `<button class="recent-location-btn" onclick="switchBox('${loc}')">${loc}</button>`;
-    }).join('');
 }
 
-function clearSearchResults() {
-    const resultsEl = document.getElementById('searchResults');
-    if (!resultsEl) return;
-    resultsEl.style.display = 'none';
-    resultsEl.innerHTML = '';
+function saveOperators() {
+    try {
+        localStorage.setItem(OPERATORS_STORAGE_KEY, JSON.stringify({ operators, current: currentOperator }));
+    } catch (e) {
+        console.warn('Could not save operators:', e);
+    }
 }
 
-function renderSearchResults(results) {
-    const resultsEl = document.getElementById('searchResults');
-    if (!resultsEl) return;
-    if (!results.length) {
-        resultsEl.innerHTML = '<div class="search-result-title" style="padding: 0.35rem 0.4rem; color: #999;">No matches</div>';
-        resultsEl.style.display = 'block';
-        return;
+function getOperator() {
+    return currentOperator;
+}
+
+/**
+ * Makes an operator current, adding them to the list if they are new.
+ * @param {string|null} name - Matched case-insensitively against known operators; empty clears.
+ * @returns {string|null} The operator now current.
+ */
+function setOperator(name) {
+    const clean = String(name || '').trim();
+    if (!clean) {
+        currentOperator = null;
+    } else {
+        const known = operators.find(op => op.toLowerCase() === clean.toLowerCase());
+        if (!known) operators.push(clean);
+        currentOperator = known || clean;
     }
+    saveOperators();
+    renderOperatorSelect();
+    return currentOperator;
+}
 
-    resultsEl.innerHTML = results.map(result => {
-        if (result.type === 'location') {
-            return `<div class="search-result" onclick="switchBox('${result.location}')">
-                <span class="search-result-title">${result.location}</span>
-                <span class="search-result-meta">Location</span>
-            </div>`;
-        }
+// Alt+1…9 picks the operator at that position, Alt+0 clears
+function selectOperatorByIndex(index) {
+    if (index > operators.length) return;
+    const name = setOperator(index === 0 ? null : operators[index - 1]);
+    const message = name ? `Operator ${name}` : 'No operator';
+    showToast(message);
+    if (window.AudioFeedback) window.AudioFeedback.speak(message);
+}
 
-        const qtyText = result.qty > 1 ? `×${result.qty}` : '';
-        const secondary = result.secondaryLocation ? ` • ${result.secondaryLocation}` : '';
-        return `<div class="search-result" onclick="switchBox('${result.location}')">
-            <span class="search-result-title">${escapeHtml(result.name)} ${qtyText}</span>
-            <span class="search-result-meta">${result.location}${secondary}</span>
-        </div>`;
-    }).join('');
-    resultsEl.style.display = 'block';
+function renderOperatorSelect() {
+    const select = document.getElementById('operatorSelect');
+    if (!select) return;
+    select.innerHTML = [
+        '<option value="">No operator</option>',
+        ...operators.map((name, i) => `<option value="${escapeHtml(name)}">${i < 9 ? `${i + 1}. ` : ''}${escapeHtml(name)}</option>`),
+        `<option value="${OPERATOR_EDIT_VALUE}">Edit operators…</option>`
+    ].join('');
+    select.value = currentOperator || '';
 }
 
-function performSearch(term) {
-    const searchTerm = term.trim().toLowerCase();
-    if (!searchTerm) {
-        clearSearchResults();
+function handleOperatorSelectChange(e) {
+    if (e.target.value === OPERATOR_EDIT_VALUE) {
+        e.target.value = currentOperator || '';
+        openOperatorEditor();
         return;
     }
+    setOperator(e.target.value);
+    focusInput();
+}
 
-    const results = [];
-    // Access global config safely
-    const maxResults = (window.CONFIG && window.CONFIG.MAX_SEARCH_RESULTS) || 50;
+function openOperatorEditor() {
+    const rows = operators.map((name, i) => `<tr>
+        <td class="modal-muted">${i < 9 ? `Alt+${i + 1}` : ''}</td>
+        <td><strong>${escapeHtml(name)}</strong>${name === currentOperator ? ' <span class="badge-new">current</span>' : ''}</td>
+        <td><button class="btn-small btn-delete" data-remove-operator="${i}">Remove</button></td>
+    </tr>`).join('');
     
-    // We need to access the raw internal structure of window.BoxData.currentSession
-    // But currentSession is a reference, so it should be up to date
-    const sessionBoxes = window.BoxData.currentSession.boxes;
+    const bodyEl = openModal('Operators', `
+        <div class="session-new-row">
+            <input type="text" id="newOperatorName" class="search-input" placeholder="Operator name" autocomplete="off" spellcheck="false">
+            <button class="btn-small btn-primary" data-add-operator>Add</button>
+        </div>
+        ${operators.length ? `<table class="modal-table"><tbody>${rows}</tbody></table>` : '<p class="modal-muted">No operators yet.</p>'}
+        <p class="modal-muted">Items and box completions are stamped with the current operator. Voice: "operator Sam".</p>
+    `, [{ label: 'Close', onClick: closeModal }]);
+    
+    const addOperator = () => {
+        const input = document.getElementById('newOperatorName');
+        if (!input.value.trim()) return;
+        setOperator(input.value);
+        openOperatorEditor();
+    };
+    bodyEl.addEventListener('click', (e) => {
+        if (e.target.closest('[data-add-operator]')) {
+            addOperator();
+            return;
+        }
+        const removeBtn = e.target.closest('[data-remove-operator]');
+        if (removeBtn) {
+            const [removed] = operators.splice(parseInt(removeBtn.dataset.removeOperator, 10), 1);
+            if (removed === currentOperator) currentOperator = null;
+            saveOperators();
+            renderOperatorSelect();
+            openOperatorEditor();
+        }
+    });
+    bodyEl.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.id === 'newOperatorName') {
+            e.preventDefault();
+            addOperator();
+        }
+    });
+    document.getElementById('newOperatorName').focus();
+}
 
-    for (const [boxKey, boxData] of Object.entries(sessionBoxes)) {
-        if (!boxData) continue;
-        const secondary = boxData.secondaryLocation || '';
-        const locationMatch = boxKey.toLowerCase().includes(searchTerm) || secondary.toLowerCase().includes(searchTerm);
 
-        if (locationMatch && results.length < maxResults) {
-            results.push({ type: 'location', location: boxKey });
-        }
+// --- Barcode Scanner ---
 
-        if (!boxData.items) continue;
-        for (const item of boxData.items) {
-            if (!item || !item.name) continue;
-            if (item.name.toLowerCase().includes(searchTerm)) {
-                results.push({
-                    type: 'item',
-                    name: item.name,
-                    qty: item.qty || 1,
-                    location: boxKey,
-                    secondaryLocation: secondary
-                });
-                if (results.length >= maxResults) {
-                    break;
-                }
-            }
-        }
+// USB scanners type like a keyboard, only much faster. A burst of keys that each follow the last
+// within SCANNER_MAX_KEY_INTERVAL_MS, ended by Enter/Tab or SCANNER_SUFFIX, is treated as one scan.
+const SKU_STORAGE_KEY = 'boxAuditSkus';
+// Only these scans are locations; a bare number is a product code, not a box
+const SCANNED_LOCATION_PATTERN = /^(BOX|SHELF|MISSING)/i;
+const SKU_EDITOR_MAX_ROWS = 200;
+const scanBurst = { text: '', lastKeyAt: -Infinity };
 
-        if (results.length >= maxResults) {
-            break;
-        }
+function loadSkuTable() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SKU_STORAGE_KEY) || 'null');
+        if (saved && typeof saved === 'object') skuTable = saved;
+    } catch (e) {
+        console.warn('Could not read SKU table:', e);
     }
+}
 
-    renderSearchResults(results);
+function saveSkuTable() {
+    try {
+        localStorage.setItem(SKU_STORAGE_KEY, JSON.stringify(skuTable));
+    } catch (e) {
+        console.warn('Could not save SKU table:', e);
+    }
 }
 
+function lookupSku(code) {
+    return skuTable[code] || null;
+}
 
-// --- Core Actions ---
+function getScannerSettings() {
+    const config = window.CONFIG || {};
+    return {
+        maxInterval: config.SCANNER_MAX_KEY_INTERVAL_MS || 30,
+        minLength: config.SCANNER_MIN_LENGTH || 4,
+        prefix: config.SCANNER_PREFIX || '',
+        suffix: config.SCANNER_SUFFIX || ''
+    };
+}
 
-function switchBox(boxNumber) {
-    const normalized = normalizeBoxNumber(boxNumber);
-    if (!normalized) {
-        alert('Invalid box number');
-        return;
+// The code inside a burst, or null if the burst does not look like a scan
+function getScannedCode(text, settings) {
+    let code = text;
+    if (settings.prefix) {
+        if (!code.startsWith(settings.prefix)) return null;
+        code = code.slice(settings.prefix.length);
     }
+    code = code.trim();
+    return code.length >= settings.minLength ? code : null;
+}
+
+/**
+ * Runs in the capture phase, before the input handlers, so a finished scan never reaches them.
+ * Keys are not held back while a burst is in progress; once a scan is recognized, its characters
+ * are taken back out of whichever field they were typed into.
+ */
+function handleScannerKeyDown(e) {
+    if (isModalOpen() || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key === 'Shift' || e.key === 'CapsLock') return; // Scanners press Shift for capitals
     
-    currentBox = normalized;
+    const settings = getScannerSettings();
+    // When the key was pressed, not when this handler got to run: a busy page delivers queued keys together
+    const now = e.timeStamp;
+    const inBurst = now - scanBurst.lastKeyAt <= settings.maxInterval;
     
-    if (!window.BoxData.currentSession.boxes[currentBox]) {
-        ensureBoxExists(currentBox);
-        saveToStorage();
+    if (e.key === 'Enter' || e.key === 'Tab') {
+        const code = inBurst ? getScannedCode(scanBurst.text, settings) : null;
+        if (code) finishScan(e, scanBurst.text, code);
+        scanBurst.text = '';
+        return;
+    }
+    if (!e.key || e.key.length !== 1) {
+        scanBurst.text = '';
+        return;
     }
-
-    addRecentLocation(currentBox);
-    updateDisplay();
-    focusInput();
     
-    // Audio Feedback
-    if (window.AudioFeedback) {
-        // "Box 42" or "Shelf 2C" - expand for TTS clarify
-        const spoken = currentBox.replace('BOX', 'Box ').replace('SHELF', 'Shelf ');
-        window.AudioFeedback.speak(spoken);
+    scanBurst.text = (inBurst ? scanBurst.text : '') + e.key;
+    scanBurst.lastKeyAt = now;
+    
+    if (settings.suffix && scanBurst.text.endsWith(settings.suffix)) {
+        // The key completing the suffix is swallowed; everything before it was typed
+        const typed = scanBurst.text.slice(0, -1);
+        const code = getScannedCode(scanBurst.text.slice(0, -settings.suffix.length), settings);
+        if (code) {
+            finishScan(e, typed, code);
+            scanBurst.text = '';
+        }
     }
 }
 
-function setSecondaryLocation(value) {
-    if (!currentBox || !window.BoxData.currentSession.boxes[currentBox]) return;
-    window.BoxData.currentSession.boxes[currentBox].secondaryLocation = value || null;
-    saveStateToHistory();
-    saveToStorage();
-    updateDisplay();
-    showSecondarySaved();
+function finishScan(e, typed, code) {
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const field = document.activeElement;
+    if (field && typeof field.value === 'string' && typed && field.value.endsWith(typed)) {
+        field.value = field.value.slice(0, -typed.length);
+    }
+    hideItemSuggestions();
+    handleScan(code);
 }
 
-function saveSecondaryLocation() {
-    if (!currentBox || !window.BoxData.currentSession.boxes[currentBox]) return;
-    
-    const input = document.getElementById('secondaryLocationInput');
-    const rawValue = input.value.trim();
+/**
+ * Switches box for a scanned location label, otherwise adds the product (named from the SKU table).
+ * @param {string} code
+ */
+function handleScan(code) {
+    if (editingItemId) cancelEdit();
     
-    if (!rawValue) {
-        setSecondaryLocation(null);
+    const location = SCANNED_LOCATION_PATTERN.test(code) ? parseLocationInput(code) : null;
+    if (location && location.primary) {
+        switchBox(location.primary);
+        if (location.secondary) setSecondaryLocation(location.secondary);
+        flashSuccess();
         return;
     }
     
-    const normalizedShelf = normalizeShelfLocation(rawValue);
-    if (!normalizedShelf) {
-        showSaveError('Secondary location must be a SHELF (e.g., SHELF 2C).');
-        input.value = window.BoxData.currentSession.boxes[currentBox].secondaryLocation || '';
+    if (!currentBox) {
+        showToast(`Scanned ${code} • scan a box label first`);
+        if (window.AudioFeedback) window.AudioFeedback.playError();
         return;
     }
     
-    setSecondaryLocation(normalizedShelf);
-    if (window.AudioFeedback) {
-       window.AudioFeedback.speak(`Secondary location set to ${normalizedShelf}`);
-    }
-}
-
-function toggleBoxComplete(boxNumber) {
-    const normalizedBox = normalizeBoxNumber(boxNumber);
-    if (!window.BoxData.currentSession.boxes[normalizedBox]) return;
-    
-    const box = window.BoxData.currentSession.boxes[normalizedBox];
-    box.completed = !box.completed;
-    box.completedAt = box.completed ? new Date().toISOString() : null;
-    
-    saveStateToHistory();
+    const name = lookupSku(code);
+    // Scanned names are used as-is: a leading number in a product name is not a quantity
+    const contextTags = getContextTags();
+    const { item, merged } = addItemToBox(currentBox, name || code, 1, contextTags, undefined, { sku: code });
     updateDisplay();
     saveToStorage();
+    flashSuccess();
+    if (window.AudioFeedback) window.AudioFeedback.playSuccess();
+    if (merged) showToast(`${item.name} ×${item.qty}`);
+    else if (!name) showToast(`${code} is not in the SKU list`);
+}
 
-    if (window.AudioFeedback) {
-        if (box.completed) {
-            window.AudioFeedback.playSuccess();
-            window.AudioFeedback.speak("Box completed");
-        } else {
-            window.AudioFeedback.speak("Box reopened");
-        }
-    }
+function renderSkuRows() {
+    const codes = Object.keys(skuTable).sort();
+    const rows = codes.slice(0, SKU_EDITOR_MAX_ROWS).map(code => `<tr>
+        <td><code>${escapeHtml(code)}</code></td>
+        <td>${escapeHtml(skuTable[code])}</td>
+        <td><button class="btn-small btn-delete" data-remove-sku="${escapeHtml(code)}">Remove</button></td>
+    </tr>`).join('');
+    const more = codes.length > SKU_EDITOR_MAX_ROWS
+        ? `<p class="modal-muted">Showing ${SKU_EDITOR_MAX_ROWS} of ${codes.length} codes.</p>`
+        : '';
+    return codes.length
+        ? `<table class="modal-table"><tbody>${rows}</tbody></table>${more}`
+        : '<p class="modal-muted">No codes yet.</p>';
 }
 
-function addItem(itemName) {
-    if (!currentBox) {
-        alert('Please enter a box number first');
-        return;
+// Rows of code, name; a header row is skipped
+function importSkuCSV(text) {
+    let added = 0;
+    for (const row of window.BoxData.parseCSV(text)) {
+        const code = (row[0] || '').trim();
+        const name = (row[1] || '').trim();
+        if (!code || !name || /^(code|sku|upc|ean|barcode)$/i.test(code)) continue;
+        skuTable[code] = name;
+        added++;
     }
+    saveSkuTable();
+    return added;
+}
+
+function openSkuEditor() {
+    const bodyEl = openModal(`SKU Lookup (${Object.keys(skuTable).length})`, `
+        <div class="session-new-row">
+            <input type="text" id="newSkuCode" class="search-input" placeholder="Code (UPC, EAN, SKU)" autocomplete="off" spellcheck="false">
+            <input type="text" id="newSkuName" class="search-input" placeholder="Item name" autocomplete="off" spellcheck="false">
+            <button class="btn-small btn-primary" data-add-sku>Add</button>
+        </div>
+        <div class="session-new-row">
+            <input type="file" id="skuImportFile" accept=".csv" style="display: none">
+            <button class="btn-small" data-import-sku>Import CSV…</button>
+            <span class="modal-muted">Two columns: code, name</span>
+        </div>
+        ${renderSkuRows()}
+        <p class="modal-muted">Scanned codes found here are added under their name; other codes are added as the code itself. Scanning into the Code field fills it in.</p>
+    `, [{ label: 'Close', onClick: closeModal }]);
     
-    ensureBoxExists(currentBox);
-    
-    const parsed = parseQuantity(itemName);
-    
-    // Check duplicates
-    const currentItems = window.BoxData.currentSession.boxes[currentBox].items;
-    const existingItem = currentItems.find(
-        item => item.name.toLowerCase().trim() === parsed.name.toLowerCase().trim()
-    );
-    
-    if (existingItem) {
-        // Smart Merge Logic
-        existingItem.qty = (existingItem.qty || 1) + parsed.qty;
-        existingItem.addedAt = new Date().toISOString(); // Update timestamp to bump to top if sorted by time? 
-        // Actually UI reverses array, so last added is top. Updating time doesn't change array order unless we remove and re-push.
-        // Let's remove and re-push to make it appear as "fresh" action
-        const idx = currentItems.indexOf(existingItem);
-        currentItems.splice(idx, 1);
-        currentItems.push(existingItem);
-        
-        saveStateToHistory();
-        updateDisplay();
-        saveToStorage();
-        
-        flashSuccess();
-        if (window.AudioFeedback) {
-             window.AudioFeedback.playSuccess();
-             window.AudioFeedback.speak(`Quantity updated to ${existingItem.qty}`);
+    const addSku = () => {
+        const code = document.getElementById('newSkuCode').value.trim();
+        const name = document.getElementById('newSkuName').value.trim();
+        if (!code || !name) return;
+        skuTable[code] = name;
+        saveSkuTable();
+        openSkuEditor();
+    };
+    bodyEl.addEventListener('click', (e) => {
+        if (e.target.closest('[data-add-sku]')) {
+            addSku();
+            return;
         }
+        if (e.target.closest('[data-import-sku]')) {
+            document.getElementById('skuImportFile').click();
+            return;
+        }
+        const removeBtn = e.target.closest('[data-remove-sku]');
+        if (removeBtn) {
+            delete skuTable[removeBtn.dataset.removeSku];
+            saveSkuTable();
+            openSkuEditor();
+        }
+    });
+    bodyEl.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        if (e.target.id === 'newSkuCode') {
+            e.preventDefault();
+            document.getElementById('newSkuName').focus();
+        } else if (e.target.id === 'newSkuName') {
+            e.preventDefault();
+            addSku();
+        }
+    });
+    bodyEl.addEventListener('change', (e) => {
+        if (e.target.id !== 'skuImportFile' || !e.target.files[0]) return;
+        const file = e.target.files[0];
+        const reader = new FileReader();
+        reader.onload = () => {
+            const added = importSkuCSV(reader.result);
+            openSkuEditor();
+            showToast(`Imported ${added} codes from ${file.name}`);
+        };
+        reader.onerror = () => alert('Error reading file: ' + file.name);
+        reader.readAsText(file);
+    });
+    document.getElementById('newSkuCode').focus();
+}
+
+
+// --- Item Autocomplete & Catalog ---
+
+const ITEM_SUGGESTION_LIMIT = 6;
+const CATALOG_EDITOR_MAX_ROWS = 200;
+// typed: the input text before arrow keys filled in a suggestion; qtyPrefix: "5 " kept in front of it
+const itemSuggestions = { entries: [], index: -1, typed: '', qtyPrefix: '' };
+
+// Text to complete, or null when the input is a command or location rather than an item name
+function getSuggestionQuery(value) {
+    if (!value.trim() || /^[>#]/.test(value.trim())) return null;
+    const location = parseLocationInput(value.trim());
+    if (location && location.primary) return null;
+    const qtyMatch = value.match(/^(\d+\s+)(.*)$/);
+    return qtyMatch ? { qtyPrefix: qtyMatch[1], text: qtyMatch[2] } : { qtyPrefix: '', text: value };
+}
+
+function updateItemSuggestions() {
+    const input = document.getElementById('itemInput');
+    const query = getSuggestionQuery(input.value);
+    itemSuggestions.entries = query ? window.BoxCatalog.suggest(query.text, ITEM_SUGGESTION_LIMIT) : [];
+    itemSuggestions.index = -1;
+    itemSuggestions.typed = input.value;
+    itemSuggestions.qtyPrefix = query ? query.qtyPrefix : '';
+    renderItemSuggestions();
+}
+
+function renderItemSuggestions() {
+    const list = document.getElementById('itemSuggestions');
+    if (!list) return;
+    if (!itemSuggestions.entries.length) {
+        list.style.display = 'none';
+        list.innerHTML = '';
         return;
     }
+    list.innerHTML = itemSuggestions.entries.map((entry, i) => `
+        <div class="item-suggestion${i === itemSuggestions.index ? ' active' : ''}" data-suggestion="${i}">
+            <span>${escapeHtml(entry.name)}</span>
+            <span class="search-result-meta">${entry.tags.length ? escapeHtml(entry.tags.join(', ')) + ' • ' : ''}${entry.count}×</span>
+        </div>
+    `).join('');
+    list.style.display = 'block';
+}
+
+function hideItemSuggestions() {
+    itemSuggestions.entries = [];
+    itemSuggestions.index = -1;
+    renderItemSuggestions();
+}
+
+function acceptItemSuggestion(index) {
+    const entry = itemSuggestions.entries[index];
+    if (!entry) return;
+    const input = document.getElementById('itemInput');
+    input.value = itemSuggestions.qtyPrefix + entry.name;
+    hideItemSuggestions();
+}
+
+/**
+ * Arrow keys walk the list, filling in each suggestion (back to what was typed past either end);
+ * Tab accepts the highlighted or first suggestion. Escape closes the list before it clears the input.
+ * @returns {boolean} True if the key was used by the suggestion list.
+ */
+function handleSuggestionKeyDown(e) {
+    const count = itemSuggestions.entries.length;
+    if (!count) return false;
+    const input = document.getElementById('itemInput');
     
-    const item = {
-        id: Date.now() + Math.random(),
-        name: parsed.name,
-        qty: parsed.qty,
-        addedAt: new Date().toISOString(),
-        isDuplicate: false,
-        tags: [] 
-    };
-    
-    // Check if there is an active context from voice command
-    if (window.activeContext && window.activeContext.tags) {
-        item.tags = [...window.activeContext.tags];
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        // -1 is the typed text, between the last suggestion and the first
+        itemSuggestions.index = (itemSuggestions.index + 1 + step + count + 1) % (count + 1) - 1;
+        const entry = itemSuggestions.entries[itemSuggestions.index];
+        input.value = entry ? itemSuggestions.qtyPrefix + entry.name : itemSuggestions.typed;
+        renderItemSuggestions();
+        return true;
+    }
+    if (e.key === 'Tab' && !e.shiftKey) {
+        e.preventDefault();
+        acceptItemSuggestion(Math.max(itemSuggestions.index, 0));
+        return true;
+    }
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        if (itemSuggestions.index !== -1) input.value = itemSuggestions.typed;
+        hideItemSuggestions();
+        return true;
+    }
+    if (e.key === 'Enter') hideItemSuggestions();
+    return false;
+}
+
+function handleSuggestionMouseDown(e) {
+    const row = e.target.closest('[data-suggestion]');
+    if (!row) return;
+    e.preventDefault(); // Keep focus in the input
+    acceptItemSuggestion(parseInt(row.dataset.suggestion, 10));
+    focusInput();
+}
+
+/**
+ * Counts item names from the other sessions in the library, once per session, so the catalog
+ * knows names from past audits. Sessions are read without being opened.
+ */
+async function indexLibraryInCatalog() {
+    const storage = window.BoxData.getStorage();
+    if (!storage.supportsLibrary || typeof storage.read !== 'function') return;
+    try {
+        const sessions = await storage.list();
+        for (const summary of sessions) {
+            if (summary.active || !summary.readable || window.BoxCatalog.indexedSessions.has(summary.id)) continue;
+            const session = await storage.read(summary.id);
+            if (session) window.BoxCatalog.indexSession(session);
+        }
+    } catch (e) {
+        console.warn('Could not add past sessions to the item catalog:', e);
     }
+}
 
-    currentItems.push(item);
+function renderCatalogRows(entries) {
+    const rows = entries.slice(0, CATALOG_EDITOR_MAX_ROWS).map((entry, i) => `<tr>
+        <td><input type="checkbox" data-catalog-select="${i}"></td>
+        <td>
+            <input type="text" class="search-input" data-catalog-name="${i}" value="${escapeHtml(entry.name)}" spellcheck="false">
+            ${entry.variants.length ? `<div class="modal-muted">Also: ${entry.variants.map(variant =>
+                `${escapeHtml(variant)} <button class="btn-small catalog-variant-remove" data-catalog-split="${i}" data-variant="${escapeHtml(variant)}" title="Make this a separate name">×</button>`
+            ).join(' ')}</div>` : ''}
+        </td>
+        <td><input type="text" class="search-input" data-catalog-tags="${i}" value="${escapeHtml(entry.tags.join(', '))}" placeholder="Default tags" spellcheck="false"></td>
+        <td class="modal-muted">${entry.count}×<br>${escapeHtml(formatSessionDate(entry.lastUsed))}</td>
+        <td><button class="btn-small btn-delete" data-catalog-remove="${i}">Remove</button></td>
+    </tr>`).join('');
+    const more = entries.length > CATALOG_EDITOR_MAX_ROWS
+        ? `<p class="modal-muted">Showing ${CATALOG_EDITOR_MAX_ROWS} of ${entries.length} names. Filter to find the rest.</p>`
+        : '';
+    return entries.length
+        ? `<table class="modal-table">
+            <thead><tr><th></th><th>Name</th><th>Tags</th><th>Used</th><th></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>${more}`
+        : '<p class="modal-muted">No names match.</p>';
+}
+
+function openCatalogEditor(filter = '') {
+    const catalog = window.BoxCatalog;
+    const getEntries = (text) => {
+        const key = text.trim().toLowerCase();
+        return catalog.list().filter(entry => !key ||
+            [entry.name, ...entry.variants].some(name => name.toLowerCase().includes(key)));
+    };
+    let entries = getEntries(filter);
     
-    saveStateToHistory();
-    updateDisplay();
-    saveToStorage();
+    const bodyEl = openModal(`Item Catalog (${catalog.entries.length})`, `
+        <div class="session-new-row">
+            <input type="text" id="catalogFilter" class="search-input" placeholder="Filter names" autocomplete="off" spellcheck="false" value="${escapeHtml(filter)}">
+            <button class="btn-small btn-primary" data-catalog-merge>Merge selected</button>
+        </div>
+        <div id="catalogRows">${renderCatalogRows(entries)}</div>
+        <p class="modal-muted">Merged names are stored under the canonical name and count as the same item when added to a box. Default tags are added to new items with that name.</p>
+    `, [{ label: 'Close', onClick: closeModal }]);
     
-    if (window.AudioFeedback) window.AudioFeedback.playSuccess();
-}
+    const reopen = () => openCatalogEditor(document.getElementById('catalogFilter').value);
+    bodyEl.addEventListener('click', (e) => {
+        if (e.target.closest('[data-catalog-merge]')) {
+            const selected = [...bodyEl.querySelectorAll('[data-catalog-select]:checked')]
+                .map(box => entries[parseInt(box.dataset.catalogSelect, 10)]);
+            if (selected.length < 2) {
+                alert('Tick two or more names to merge');
+                return;
+            }
+            // The most used name stays canonical; rename it afterwards if another spelling is right
+            const [target, ...others] = selected.sort((a, b) => b.count - a.count);
+            catalog.merge(target.name, others.map(entry => entry.name));
+            reopen();
+            showToast(`Merged ${others.length + 1} names into ${target.name}`);
+            return;
+        }
+        const splitBtn = e.target.closest('[data-catalog-split]');
+        if (splitBtn) {
+            catalog.removeVariant(entries[parseInt(splitBtn.dataset.catalogSplit, 10)].name, splitBtn.dataset.variant);
+            reopen();
+            return;
+        }
+        const removeBtn = e.target.closest('[data-catalog-remove]');
+        if (removeBtn) {
+            catalog.remove(entries[parseInt(removeBtn.dataset.catalogRemove, 10)].name);
+            reopen();
+        }
+    });
+    bodyEl.addEventListener('change', (e) => {
+        if (e.target.dataset.catalogName) {
+            const entry = entries[parseInt(e.target.dataset.catalogName, 10)];
+            const renamed = catalog.rename(entry.name, e.target.value);
+            reopen();
+            if (renamed && renamed.name !== entry.name) showToast(`${entry.name} → ${renamed.name}`);
+        } else if (e.target.dataset.catalogTags) {
+            const entry = entries[parseInt(e.target.dataset.catalogTags, 10)];
+            catalog.setTags(entry.name, e.target.value.split(','));
+        }
+    });
+    bodyEl.addEventListener('input', (e) => {
+        if (e.target.id !== 'catalogFilter') return;
+        entries = getEntries(e.target.value);
+        document.getElementById('catalogRows').innerHTML = renderCatalogRows(entries);
+    });
+    bodyEl.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.matches('[data-catalog-name], [data-catalog-tags]')) {
+            e.preventDefault();
+            e.target.blur(); // Commits the edit through the change event
+        }
+    });
+    const filterInput = document.getElementById('catalogFilter');
+    filterInput.focus();
+    filterInput.setSelectionRange(filter.length, filter.length);
+}
+
+
+// --- Tags ---
+
+// Tags typed or picked before, kept for the station like operators; session tags are added on top
+const TAGS_STORAGE_KEY = 'boxAuditTags';
+// Tags column separator: tags can contain commas ("Estate Sale, 2019"), so they are joined with "; "
+const CSV_TAG_SEPARATOR = '; ';
+
+function loadTagRegistry() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TAGS_STORAGE_KEY) || 'null');
+        if (Array.isArray(saved)) tagRegistry = saved.filter(tag => typeof tag === 'string' && tag.trim());
+    } catch (e) {
+        console.warn('Could not read tags:', e);
+    }
+}
+
+function saveTagRegistry() {
+    try {
+        localStorage.setItem(TAGS_STORAGE_KEY, JSON.stringify(tagRegistry));
+    } catch (e) {
+        console.warn('Could not save tags:', e);
+    }
+}
+
+function getContextTags() {
+    return window.activeContext && window.activeContext.tags ? window.activeContext.tags : [];
+}
+
+/**
+ * Every tag in the registry or on an item of the session, with how many items carry it.
+ * @returns {{tag: string, count: number}[]} Sorted by name.
+ */
+function getKnownTags() {
+    const counts = new Map(tagRegistry.map(tag => [tag, 0]));
+    for (const boxData of Object.values(window.BoxData.currentSession.boxes)) {
+        for (const item of (boxData && boxData.items) || []) {
+            for (const tag of item.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+    }
+    return [...counts].map(([tag, count]) => ({ tag, count })).sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Cleans a typed tag, reusing the spelling of a known tag that differs only in case.
+ * @param {string} text
+ * @returns {string} Empty if nothing is left.
+ */
+function resolveTag(text) {
+    const clean = String(text || '').trim().replace(/\s+/g, ' ');
+    if (!clean) return '';
+    const known = getKnownTags().find(({ tag }) => tag.toLowerCase() === clean.toLowerCase());
+    return known ? known.tag : clean;
+}
+
+function registerTag(tag) {
+    if (!tag || tagRegistry.includes(tag)) return;
+    tagRegistry.push(tag);
+    saveTagRegistry();
+}
+
+/**
+ * Adds a tag to the active context (tags given to every new item), or takes it out if it is there.
+ * @param {string} text
+ */
+function toggleContextTag(text) {
+    const tag = resolveTag(text);
+    if (!tag) return;
+    const tags = getContextTags();
+    const active = tags.includes(tag);
+    window.setContextTags(active ? tags.filter(t => t !== tag) : [...tags, tag]);
+    registerTag(tag);
+    showToast(active ? `Context: ${tag} off` : `Context: ${tag} on`);
+}
+
+/**
+ * "##Fragile" toggles a context tag, creating it if needed; "#Fragile" does the same for a tag that
+ * already exists, so entries like "#2 pencils" still add items. "#" or "##" on its own clears the context.
+ * @returns {{tag: string}|null}
+ */
+function parseTagCommand(value) {
+    const match = value.match(/^(##?)\s*(.*)$/);
+    if (!match) return null;
+    const tag = match[2].trim();
+    if (!tag || match[1] === '##') return { tag };
+    const known = getKnownTags().some(({ tag: knownTag }) => knownTag.toLowerCase() === tag.toLowerCase());
+    return known || getContextTags().includes(tag) ? { tag } : null;
+}
+
+function handleTagCommand(command) {
+    if (!command.tag) {
+        window.setContextTags([]);
+        showToast('Context cleared');
+        return;
+    }
+    toggleContextTag(command.tag);
+}
+
+/**
+ * Changes the tags of some items as one undoable step.
+ * @param {{box: string, item: Item}[]} targets
+ * @param {function(string[]): string[]} change - Returns an item's new tags from its current ones.
+ * @param {function(number): string} label - History label for the number of items changed,
+ *   used when more than one changes.
+ * @returns {number} Items changed.
+ */
+function changeItemTags(targets, change, label) {
+    const ops = [];
+    for (const { box, item } of targets) {
+        const before = item.tags || [];
+        const after = [...new Set(change(before))];
+        if (JSON.stringify(before) === JSON.stringify(after)) continue;
+        ops.push({ type: 'editItem', box, itemId: item.id, name: item.name, before: { tags: [...before] }, after: { tags: after } });
+    }
+    if (!ops.length) return 0;
+    commitOp(ops.length === 1 ? ops[0] : { type: 'batch', label: label(ops.length), ops });
+    updateDisplay();
+    saveToStorage();
+    return ops.length;
+}
+
+// Every item in the session carrying a tag (MISSING included)
+function getItemsWithTag(tag) {
+    const targets = [];
+    for (const [box, boxData] of Object.entries(window.BoxData.currentSession.boxes)) {
+        for (const item of (boxData && boxData.items) || []) {
+            if ((item.tags || []).includes(tag)) targets.push({ box, item });
+        }
+    }
+    return targets;
+}
+
+/**
+ * Renames a tag on every item; renaming to a tag that already exists merges the two.
+ * The registry, active context and tag filter follow the new name.
+ */
+function renameTag(from, text) {
+    const to = resolveTag(text);
+    if (!to || to === from) return;
+    const merged = getKnownTags().some(({ tag }) => tag === to);
+    changeItemTags(getItemsWithTag(from), tags => tags.map(tag => (tag === from ? to : tag)),
+        () => (merged ? `Merged tag "${from}" into "${to}"` : `Renamed tag "${from}" → "${to}"`));
+    
+    tagRegistry = [...new Set(tagRegistry.map(tag => (tag === from ? to : tag)))];
+    if (!tagRegistry.includes(to)) tagRegistry.push(to);
+    saveTagRegistry();
+    const contextTags = getContextTags();
+    if (contextTags.includes(from)) {
+        window.setContextTags([...new Set(contextTags.map(tag => (tag === from ? to : tag)))]);
+    }
+    if (tagFilter === from) tagFilter = to;
+    updateDisplay();
+}
+
+function removeTag(tag) {
+    changeItemTags(getItemsWithTag(tag), tags => tags.filter(t => t !== tag), () => `Removed tag "${tag}"`);
+    tagRegistry = tagRegistry.filter(t => t !== tag);
+    saveTagRegistry();
+    const contextTags = getContextTags();
+    if (contextTags.includes(tag)) window.setContextTags(contextTags.filter(t => t !== tag));
+    if (tagFilter === tag) tagFilter = null;
+    updateDisplay();
+}
+
+/**
+ * Shows only items with this tag in the item list, and only boxes holding one in the progress grid.
+ * @param {string|null} tag - Null clears the filter.
+ */
+function setTagFilter(tag) {
+    tagFilter = tag || null;
+    updateDisplay();
+    focusInput();
+}
+
+function boxHasTag(boxData, tag) {
+    return !!boxData && (boxData.items || []).some(item => (item.tags || []).includes(tag));
+}
+
+// Tags in the item list; clicking one filters by it
+function renderItemTags(tags) {
+    return tags.map(tag => `<button class="item-tag" data-tag-filter="${escapeHtml(tag)}" title="Show only items tagged ${escapeHtml(tag)}">${escapeHtml(tag)}</button>`).join('');
+}
+
+/**
+ * Adds and removes tags on one or more items of a box. With several items, a tag shows how
+ * many carry it; removing it takes it off all of them.
+ * @param {string} boxKey
+ * @param {number[]} itemIds
+ */
+function openItemTagEditor(boxKey, itemIds) {
+    const boxData = window.BoxData.currentSession.boxes[boxKey];
+    const targets = (boxData ? boxData.items : [])
+        .filter(item => itemIds.includes(item.id))
+        .map(item => ({ box: boxKey, item }));
+    if (!targets.length) return;
+    
+    const counts = new Map();
+    targets.forEach(({ item }) => (item.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    const current = [...counts.keys()];
+    const chips = current.map(tag => `<span class="item-tag">${escapeHtml(tag)}${targets.length > 1 ? ` <span class="modal-muted">${counts.get(tag)}/${targets.length}</span>` : ''}
+        <button class="item-tag-remove" data-remove-tag="${escapeHtml(tag)}" title="Remove">×</button></span>`).join(' ');
+    const others = getKnownTags().filter(({ tag }) => counts.get(tag) !== targets.length);
+    const title = targets.length === 1 ? `Tags: ${targets[0].item.name}` : `Tags: ${targets.length} items in ${boxKey}`;
+    
+    const bodyEl = openModal(title, `
+        <div class="session-new-row">
+            <input type="text" id="newItemTag" class="search-input" placeholder="Add a tag" list="knownTagList" autocomplete="off" spellcheck="false">
+            <datalist id="knownTagList">${getKnownTags().map(({ tag }) => `<option value="${escapeHtml(tag)}">`).join('')}</datalist>
+            <button class="btn-small btn-primary" data-add-tag>Add</button>
+        </div>
+        <div class="item-tag-list">${chips || '<span class="modal-muted">No tags yet.</span>'}</div>
+        ${others.length ? `<p class="modal-muted">Known tags:</p>
+        <div class="item-tag-list">${others.map(({ tag }) => `<button class="btn-small" data-pick-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</button>`).join(' ')}</div>` : ''}
+    `, [{ label: 'Done', onClick: () => { closeModal(); focusInput(); } }]);
+    
+    const addTag = (text) => {
+        const tag = resolveTag(text);
+        if (!tag) return;
+        registerTag(tag);
+        changeItemTags(targets, tags => [...tags, tag], count => `Tagged ${count} items "${tag}"`);
+        openItemTagEditor(boxKey, itemIds);
+    };
+    bodyEl.addEventListener('click', (e) => {
+        if (e.target.closest('[data-add-tag]')) {
+            addTag(document.getElementById('newItemTag').value);
+            return;
+        }
+        const pickBtn = e.target.closest('[data-pick-tag]');
+        if (pickBtn) {
+            addTag(pickBtn.dataset.pickTag);
+            return;
+        }
+        const removeBtn = e.target.closest('[data-remove-tag]');
+        if (removeBtn) {
+            const tag = removeBtn.dataset.removeTag;
+            changeItemTags(targets, tags => tags.filter(t => t !== tag), count => `Removed tag "${tag}" from ${count} items`);
+            openItemTagEditor(boxKey, itemIds);
+        }
+    });
+    bodyEl.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.id === 'newItemTag') {
+            e.preventDefault();
+            addTag(e.target.value);
+        }
+    });
+    document.getElementById('newItemTag').focus();
+}
+
+function openTagManager() {
+    const tags = getKnownTags();
+    const contextTags = getContextTags();
+    const rows = tags.map(({ tag, count }, i) => `<tr>
+        <td><input type="text" class="search-input" data-rename-tag="${i}" value="${escapeHtml(tag)}" spellcheck="false"></td>
+        <td class="modal-muted">${count} ${count === 1 ? 'item' : 'items'}</td>
+        <td style="white-space: nowrap;">
+            <button class="btn-small${contextTags.includes(tag) ? ' btn-primary' : ''}" data-context-tag="${i}" title="Give this tag to new items">${contextTags.includes(tag) ? 'In context' : 'Context'}</button>
+            <button class="btn-small${tagFilter === tag ? ' btn-primary' : ''}" data-filter-tag="${i}">${tagFilter === tag ? 'Filtering' : 'Filter'}</button>
+            <button class="btn-small btn-delete" data-delete-tag="${i}">Remove</button>
+        </td>
+    </tr>`).join('');
+    
+    const bodyEl = openModal(`Tags (${tags.length})`, `
+        <div class="session-new-row">
+            <input type="text" id="newTagName" class="search-input" placeholder="New tag" autocomplete="off" spellcheck="false">
+            <button class="btn-small btn-primary" data-new-tag>Add</button>
+            ${tagFilter ? '<button class="btn-small" data-clear-filter>Clear filter</button>' : ''}
+        </div>
+        ${tags.length ? `<table class="modal-table"><tbody>${rows}</tbody></table>` : '<p class="modal-muted">No tags yet.</p>'}
+        <p class="modal-muted">Renaming a tag to one that exists merges them. Changes to items are one step in History. Type <strong>#Tag</strong> in the item box to switch a context tag on or off (<strong>##Tag</strong> for a new tag), or <strong>#</strong> to clear the context.</p>
+    `, [{ label: 'Close', onClick: closeModal }]);
+    
+    const addNewTag = () => {
+        const tag = resolveTag(document.getElementById('newTagName').value);
+        if (!tag) return;
+        registerTag(tag);
+        openTagManager();
+    };
+    bodyEl.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        if (button.matches('[data-new-tag]')) {
+            addNewTag();
+        } else if (button.matches('[data-clear-filter]')) {
+            setTagFilter(null);
+            openTagManager();
+        } else if (button.dataset.contextTag) {
+            toggleContextTag(tags[parseInt(button.dataset.contextTag, 10)].tag);
+            openTagManager();
+        } else if (button.dataset.filterTag) {
+            const { tag } = tags[parseInt(button.dataset.filterTag, 10)];
+            setTagFilter(tagFilter === tag ? null : tag);
+            closeModal();
+        } else if (button.dataset.deleteTag) {
+            const { tag, count } = tags[parseInt(button.dataset.deleteTag, 10)];
+            if (count && !confirm(`Remove the tag "${tag}" from ${count} ${count === 1 ? 'item' : 'items'}?`)) return;
+            removeTag(tag);
+            openTagManager();
+        }
+    });
+    bodyEl.addEventListener('change', (e) => {
+        if (!e.target.dataset.renameTag) return;
+        renameTag(tags[parseInt(e.target.dataset.renameTag, 10)].tag, e.target.value);
+        openTagManager();
+    });
+    bodyEl.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        if (e.target.id === 'newTagName') {
+            e.preventDefault();
+            addNewTag();
+        } else if (e.target.dataset.renameTag) {
+            e.preventDefault();
+            e.target.blur(); // Commits the rename through the change event
+        }
+    });
+    document.getElementById('newTagName').focus();
+}
+
+
+// --- Item Details ---
+
+const ITEM_DETAIL_LABELS = { condition: 'condition', value: 'unit value', sku: 'SKU', note: 'note' };
+
+function formatItemDetail(field, value) {
+    if (value === null || value === undefined) return 'none';
+    if (field === 'value') return formatItemValue(value);
+    return field === 'note' ? `"${value}"` : value;
+}
+
+/**
+ * Text for some details of an item, e.g. 'condition fair, unit value $15', for history labels.
+ * @param {Object} details
+ * @param {string[]} [fields] - Defaults to all detail fields.
+ * @returns {string}
+ */
+function formatItemDetails(details, fields = ITEM_DETAIL_FIELDS) {
+    return fields.map(field => `${ITEM_DETAIL_LABELS[field]} ${formatItemDetail(field, details[field])}`).join(', ');
+}
+
+// Details line of an item row; clicking it opens the details editor
+function renderItemDetails(boxKey, item) {
+    const details = getItemDetails(item);
+    const parts = [];
+    if (details.condition) {
+        parts.push(`<span class="item-condition condition-${details.condition}">${details.condition}</span>`);
+    }
+    if (details.value !== null) {
+        const qty = item.qty || 1;
+        parts.push(`<span>${formatItemValue(details.value)}${qty > 1 ? ` ea • ${formatItemValue(getItemsValue([item]))}` : ''}</span>`);
+    }
+    if (details.sku) parts.push(`<span>SKU ${escapeHtml(details.sku)}</span>`);
+    if (details.note) parts.push(`<span class="item-note">${escapeHtml(details.note)}</span>`);
+    if (parts.length === 0) return '';
+    return `<div class="item-details" title="Edit details" onclick="toggleItemDetails('${boxKey}', ${item.id})">${parts.join('')}</div>`;
+}
+
+function renderItemDetailsEditor(boxKey, item) {
+    const details = getItemDetails(item);
+    const options = ['', ...ITEM_CONDITIONS].map(condition =>
+        `<option value="${condition}" ${condition === (details.condition || '') ? 'selected' : ''}>${condition || 'Condition…'}</option>`).join('');
+    return `
+        <div class="item-details-edit" onkeydown="handleItemDetailsKeyDown(event, '${boxKey}', ${item.id})">
+            <select data-detail="condition">${options}</select>
+            <input type="text" data-detail="value" placeholder="Unit value $" value="${details.value !== null ? details.value : ''}" autocomplete="off">
+            <input type="text" data-detail="sku" placeholder="SKU / UPC" value="${escapeHtml(details.sku || '')}" autocomplete="off" spellcheck="false">
+            <input type="text" data-detail="note" class="item-details-note" placeholder="Note" value="${escapeHtml(details.note || '')}" autocomplete="off">
+            <button class="btn-small btn-primary" onclick="saveItemDetails('${boxKey}', ${item.id})">Save</button>
+            <button class="btn-small" onclick="toggleItemDetails(null)">Cancel</button>
+        </div>
+    `;
+}
+
+/**
+ * Opens the details editor in an item's row, or closes it when it is already open.
+ * @param {string|null} boxKey - Null closes the editor.
+ * @param {number} [itemId]
+ */
+function toggleItemDetails(boxKey, itemId) {
+    const isOpen = boxKey && detailsItemId && detailsItemId.boxKey === boxKey && detailsItemId.itemId === itemId;
+    detailsItemId = boxKey && !isOpen ? { boxKey, itemId } : null;
+    updateDisplay();
+    const firstField = document.querySelector('.item-details-edit [data-detail]');
+    if (firstField) firstField.focus();
+    else focusInput();
+}
+
+function handleItemDetailsKeyDown(event, boxKey, itemId) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        saveItemDetails(boxKey, itemId);
+    } else if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        toggleItemDetails(null);
+    }
+}
+
+// Commits the changed details from the open editor as one editItem op
+function saveItemDetails(boxKey, itemId) {
+    const boxData = window.BoxData.currentSession.boxes[boxKey];
+    const item = boxData && boxData.items.find(i => i.id === itemId);
+    const editor = document.querySelector('.item-details-edit');
+    if (!item || !editor) return;
+    
+    const fieldValue = (field) => editor.querySelector(`[data-detail="${field}"]`).value.trim();
+    const value = parseItemValue(fieldValue('value'));
+    if (fieldValue('value') && value === null) {
+        alert('Enter the unit value as a number, e.g. 15 or 15.50');
+        return;
+    }
+    const current = getItemDetails(item);
+    const edited = getItemDetails({ condition: fieldValue('condition'), value, sku: fieldValue('sku'), note: fieldValue('note') });
+    const changed = ITEM_DETAIL_FIELDS.filter(field => edited[field] !== current[field]);
+    
+    if (changed.length > 0) {
+        commitOp({
+            type: 'editItem',
+            box: boxKey,
+            itemId,
+            name: item.name,
+            before: Object.fromEntries(changed.map(field => [field, current[field]])),
+            after: Object.fromEntries(changed.map(field => [field, edited[field]]))
+        });
+        saveToStorage();
+    }
+    detailsItemId = null;
+    updateDisplay();
+    focusInput();
+}
+
+
+// --- Photos ---
+//
+// Photo files go to the storage backend (the portable data directory in Electron, IndexedDB in
+// the browser); the session only keeps references to them on items and boxes. Attaching and
+// removing are ops, so they undo like any other change, and files are never deleted with them.
+
+const PHOTO_TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp' };
+const PHOTO_THUMB_SIZE = 160; // Longest side of a thumbnail, in pixels
+const photoUrls = new Map(); // "sessionId/fileName" -> object URL, or null when the file is missing
+let photoTarget = null; // { boxKey, itemId } the file picker attaches to; itemId null for the box
+
+function getPhotoStorage() {
+    const storage = window.BoxData.getStorage();
+    return storage && storage.supportsPhotos ? storage : null;
+}
+
+function getPhotoType(fileName) {
+    const ext = fileName.split('.').pop();
+    return Object.keys(PHOTO_TYPES).find(type => PHOTO_TYPES[type] === ext) || 'application/octet-stream';
+}
+
+function getPhotos(boxKey, itemId) {
+    const boxData = window.BoxData.currentSession.boxes[boxKey];
+    if (!boxData) return [];
+    if (itemId === null) return boxData.photos || [];
+    const item = boxData.items.find(i => i.id === itemId);
+    return (item && item.photos) || [];
+}
+
+/**
+ * Every photo the session refers to, removed items included, so they can still be restored.
+ * @param {Session} session
+ * @returns {Photo[]}
+ */
+function getSessionPhotos(session) {
+    const items = [
+        ...Object.values(session.boxes).flatMap(box => box.items || []),
+        ...(session.removedItems || []).map(entry => entry.item)
+    ];
+    const photos = [
+        ...Object.values(session.boxes).flatMap(box => box.photos || []),
+        ...items.flatMap(item => item.photos || [])
+    ];
+    return [...new Map(photos.map(photo => [photo.id, photo])).values()];
+}
+
+// Scales an image down to a JPEG thumbnail; null when the browser cannot decode it
+async function createPhotoThumbnail(blob) {
+    try {
+        const bitmap = await createImageBitmap(blob);
+        const scale = Math.min(1, PHOTO_THUMB_SIZE / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        if (bitmap.close) bitmap.close();
+        const thumb = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+        return thumb ? new Uint8Array(await thumb.arrayBuffer()) : null;
+    } catch (e) {
+        console.warn('Could not make a photo thumbnail:', e);
+        return null;
+    }
+}
+
+/**
+ * Stores image files and attaches them to an item or a box in one op.
+ * @param {string} boxKey
+ * @param {number|null} itemId - Null attaches the photos to the box.
+ * @param {Array<File|Blob>} files - Files that are not JPEG, PNG, GIF or WebP are skipped.
+ */
+async function attachPhotos(boxKey, itemId, files) {
+    const storage = getPhotoStorage();
+    if (!storage) {
+        alert('Photos need the desktop app or a browser with IndexedDB storage');
+        return;
+    }
+    const images = files.filter(file => PHOTO_TYPES[file.type]);
+    if (images.length === 0) {
+        alert('Only JPEG, PNG, GIF and WebP images can be attached');
+        return;
+    }
+    
+    const sessionId = window.BoxData.currentSession.id;
+    const added = [];
+    try {
+        for (const file of images) {
+            const id = `p${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            const photo = { id, file: `${id}.${PHOTO_TYPES[file.type]}`, thumb: null, name: file.name || null, addedAt: new Date().toISOString() };
+            await storage.savePhoto(sessionId, photo.file, new Uint8Array(await file.arrayBuffer()));
+            const thumb = await createPhotoThumbnail(file);
+            if (thumb) {
+                photo.thumb = `${id}.thumb.jpg`;
+                await storage.savePhoto(sessionId, photo.thumb, thumb);
+            }
+            added.push(photo);
+        }
+    } catch (error) {
+        console.error('Photo save error:', error);
+        alert('Error saving photo: ' + error.message);
+    }
+    // Another session may have been opened while the files were written
+    if (added.length === 0 || window.BoxData.currentSession.id !== sessionId) return;
+    
+    if (changePhotos(boxKey, itemId, photos => [...photos, ...added])) {
+        showToast(`${added.length === 1 ? 'Photo' : `${added.length} photos`} added to ${itemId === null ? boxKey : 'item'}`);
+        if (window.AudioFeedback) window.AudioFeedback.playSuccess();
+    }
+}
+
+/**
+ * Commits a change to the photo list of an item or a box.
+ * @param {function(Photo[]): Photo[]} change - Returns the new list.
+ * @returns {boolean} False if the item or box is gone.
+ */
+function changePhotos(boxKey, itemId, change) {
+    const boxData = window.BoxData.currentSession.boxes[boxKey];
+    if (!boxData) return false;
+    if (itemId === null) {
+        const before = boxData.photos || [];
+        commitOp({ type: 'setBoxPhotos', box: boxKey, before, after: change(before) });
+    } else {
+        const item = boxData.items.find(i => i.id === itemId);
+        if (!item) return false;
+        const before = item.photos || [];
+        commitOp({ type: 'editItem', box: boxKey, itemId, name: item.name, before: { photos: before }, after: { photos: change(before) } });
+    }
+    updateDisplay();
+    saveToStorage();
+    return true;
+}
+
+function pickPhotos(boxKey, itemId) {
+    photoTarget = { boxKey, itemId };
+    document.getElementById('photoFile').click();
+}
+
+function handlePhotoFileChange(event) {
+    const files = [...event.target.files];
+    event.target.value = '';
+    if (photoTarget && files.length > 0) attachPhotos(photoTarget.boxKey, photoTarget.itemId, files);
+    photoTarget = null;
+}
+
+function hasDraggedFiles(e) {
+    return !!e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+}
+
+function handlePhotoDragOver(e) {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = currentBox ? 'copy' : 'none';
+    if (!currentBox) return;
+    const row = e.target.closest('.item-entry[data-item-id]');
+    document.querySelectorAll('.photo-drop-target').forEach(el => el !== row && el.classList.remove('photo-drop-target'));
+    (row || document.getElementById('itemsList')).classList.add('photo-drop-target');
+}
+
+// Fires with no relatedTarget when the drag leaves the window
+function handlePhotoDragLeave(e) {
+    if (e.relatedTarget) return;
+    document.querySelectorAll('.photo-drop-target').forEach(el => el.classList.remove('photo-drop-target'));
+}
+
+// Dropped on an item row the photos go to that item, anywhere else in the window to the box.
+// Handling drops on the whole document also keeps Electron from navigating to the image.
+function handlePhotoDrop(e) {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    document.querySelectorAll('.photo-drop-target').forEach(el => el.classList.remove('photo-drop-target'));
+    if (!currentBox) {
+        showToast('Enter a box before adding photos');
+        return;
+    }
+    const row = e.target.closest('.item-entry[data-item-id]');
+    attachPhotos(currentBox, row ? parseFloat(row.dataset.itemId) : null, [...e.dataTransfer.files]);
+}
+
+// Pasted images go to the one selected item, otherwise to the current box
+function handlePhotoPaste(e) {
+    const files = [...((e.clipboardData && e.clipboardData.files) || [])].filter(file => file.type.startsWith('image/'));
+    if (files.length === 0 || !currentBox || isModalOpen()) return;
+    e.preventDefault();
+    attachPhotos(currentBox, selectedItemIds.size === 1 ? [...selectedItemIds][0] : null, files);
+}
+
+/**
+ * Object URL for a stored photo file, read once per session and file.
+ * @returns {Promise<string|null>} Null when the file is not in storage (e.g., a merged-in session's photo).
+ */
+async function getPhotoUrl(sessionId, fileName) {
+    const key = `${sessionId}/${fileName}`;
+    if (photoUrls.has(key)) return photoUrls.get(key);
+    const storage = getPhotoStorage();
+    let bytes = null;
+    try {
+        bytes = storage ? await storage.readPhoto(sessionId, fileName) : null;
+    } catch (e) {
+        console.warn('Could not read photo:', e);
+    }
+    const url = bytes ? URL.createObjectURL(new Blob([bytes], { type: getPhotoType(fileName) })) : null;
+    photoUrls.set(key, url);
+    return url;
+}
+
+// Thumbnails of an item or box; images already read show at once, the rest via loadPhotoThumbs
+function renderPhotoThumbs(boxKey, itemId, photos) {
+    const sessionId = window.BoxData.currentSession.id;
+    return photos.map(photo => {
+        const fileName = photo.thumb || photo.file;
+        const url = photoUrls.get(`${sessionId}/${fileName}`);
+        return `<img class="photo-thumb${url === null ? ' missing' : ''}" ${url ? `src="${url}"` : ''} data-photo-src="${escapeHtml(fileName)}"
+            alt="${escapeHtml(photo.name || 'Photo')}" title="${escapeHtml(photo.name || 'Photo')}"
+            onclick="openPhotoViewer('${boxKey}', ${itemId === null ? 'null' : itemId}, '${photo.id}')">`;
+    }).join('');
+}
+
+async function loadPhotoThumbs(container) {
+    const sessionId = window.BoxData.currentSession.id;
+    for (const img of container.querySelectorAll('img[data-photo-src]:not([src]):not(.missing)')) {
+        const url = await getPhotoUrl(sessionId, img.dataset.photoSrc);
+        if (url) img.src = url;
+        else img.classList.add('missing');
+    }
+}
+
+async function openPhotoViewer(boxKey, itemId, photoId) {
+    const photo = getPhotos(boxKey, itemId).find(p => p.id === photoId);
+    if (!photo) return;
+    const item = itemId === null ? null : window.BoxData.currentSession.boxes[boxKey].items.find(i => i.id === itemId);
+    const bodyEl = openModal(item ? `Photo: ${item.name}` : `Photo: ${boxKey}`, `
+        <div class="photo-viewer"><span class="modal-muted">Loading…</span></div>
+        <p class="modal-muted">${escapeHtml(photo.name || photo.file)} • added ${escapeHtml(formatSessionDate(photo.addedAt))}</p>
+    `, [
+        {
+            label: 'Remove',
+            className: 'btn-delete',
+            onClick: () => {
+                if (!confirm('Remove this photo? Undo brings it back.')) return;
+                closeModal();
+                changePhotos(boxKey, itemId, photos => photos.filter(p => p.id !== photoId));
+            }
+        },
+        { label: 'Close', onClick: closeModal }
+    ]);
+    const url = await getPhotoUrl(window.BoxData.currentSession.id, photo.file);
+    const viewerEl = bodyEl.querySelector('.photo-viewer');
+    if (!viewerEl) return;
+    viewerEl.innerHTML = url
+        ? `<img src="${url}" alt="${escapeHtml(photo.name || 'Photo')}">`
+        : '<span class="modal-muted">The photo file is not on this computer.</span>';
+}
+
+
+// --- Search & Recents ---
+
+function addRecentLocation(locationKey) {
+    if (!locationKey) return;
+    recentLocations = recentLocations.filter(loc => loc !== locationKey);
+    recentLocations.unshift(locationKey);
+    if (recentLocations.length > RECENT_LOCATIONS_MAX) {
+        recentLocations = recentLocations.slice(0, RECENT_LOCATIONS_MAX);
+    }
+}
+
+function renderRecentLocations() {
+    const container = document.getElementById('recentLocations');
+    if (!container) return;
+    if (!recentLocations.length) {
+        container.innerHTML = '';
+        return;
+    }
+    container.innerHTML = recentLocations.map(loc => {
+        return `<button class="recent-location-btn" onclick="switchBox('${loc}')">${loc}</button>`;
+    }).join('');
+}
+
+function clearSearchResults() {
+    const resultsEl = document.getElementById('searchResults');
+    if (!resultsEl) return;
+    resultsEl.style.display = 'none';
+    resultsEl.innerHTML = '';
+}
+
+// Escapes text and wraps the [start, end) ranges in <mark>
+function highlightText(text, ranges) {
+    const sorted = [...(ranges || [])].sort((a, b) => a[0] - b[0]);
+    let html = '';
+    let pos = 0;
+    for (const [start, end] of sorted) {
+        if (end <= pos) continue;
+        const from = Math.max(start, pos);
+        html += escapeHtml(text.slice(pos, from)) + `<mark>${escapeHtml(text.slice(from, end))}</mark>`;
+        pos = end;
+    }
+    return html + escapeHtml(text.slice(pos));
+}
+
+function renderSearchResults(results) {
+    const resultsEl = document.getElementById('searchResults');
+    if (!resultsEl) return;
+    if (!results.length) {
+        resultsEl.innerHTML = '<div class="search-result-title" style="padding: 0.35rem 0.4rem; color: #999;">No matches</div>';
+        resultsEl.style.display = 'block';
+        return;
+    }
+
+    resultsEl.innerHTML = results.map(result => {
+        if (result.type === 'location') {
+            const secondary = result.secondaryLocation ? ` • ${escapeHtml(result.secondaryLocation)}` : '';
+            return `<div class="search-result" onclick="switchBox('${result.location}')">
+                <span class="search-result-title">${highlightText(result.location, result.highlights)}</span>
+                <span class="search-result-meta">Location${secondary}</span>
+            </div>`;
+        }
+
+        const qtyText = result.qty > 1 ? `×${result.qty}` : '';
+        const secondary = result.secondaryLocation ? ` • ${escapeHtml(result.secondaryLocation)}` : '';
+        const tags = result.tags.length ? ` • ${escapeHtml(result.tags.join(', '))}` : '';
+        return `<div class="search-result" onclick="switchBox('${result.location}')">
+            <span class="search-result-title">${highlightText(result.name, result.highlights)} ${qtyText}</span>
+            <span class="search-result-meta">${result.location}${secondary}${tags}</span>
+        </div>`;
+    }).join('');
+    resultsEl.style.display = 'block';
+}
+
+/**
+ * Runs the search box query (see js/search.js for the syntax) and shows the best matches.
+ * @param {string} term
+ */
+function performSearch(term) {
+    if (!term.trim()) {
+        clearSearchResults();
+        return;
+    }
+    const maxResults = (window.CONFIG && window.CONFIG.MAX_SEARCH_RESULTS) || 50;
+    renderSearchResults(window.BoxData.searchItems(term, maxResults));
+}
+
+// --- Core Actions ---
+
+function switchBox(boxNumber) {
+    const normalized = normalizeBoxNumber(boxNumber);
+    if (!normalized) {
+        alert('Invalid box number');
+        return;
+    }
+    
+    if (normalized !== currentBox) selectedItemIds.clear();
+    currentBox = normalized;
+    
+    if (!window.BoxData.currentSession.boxes[currentBox]) {
+        ensureBoxExists(currentBox);
+        saveToStorage();
+    }
+
+    addRecentLocation(currentBox);
+    updateDisplay();
+    focusInput();
+    
+    // Audio Feedback
+    if (window.AudioFeedback) {
+        // "Box 42" or "Shelf 2C" - expand for TTS clarify
+        const spoken = currentBox.replace('BOX', 'Box ').replace('SHELF', 'Shelf ');
+        window.AudioFeedback.speak(spoken);
+    }
+}
+
+function setSecondaryLocation(value) {
+    const boxData = currentBox && window.BoxData.currentSession.boxes[currentBox];
+    if (!boxData || isMissingLocation(currentBox)) return;
+    commitOp({
+        type: 'setSecondaryLocation',
+        box: currentBox,
+        before: boxData.secondaryLocation,
+        after: value || null
+    });
+    saveToStorage();
+    updateDisplay();
+    showSecondarySaved();
+}
+
+function saveSecondaryLocation() {
+    if (!currentBox || !window.BoxData.currentSession.boxes[currentBox]) return;
+    
+    const input = document.getElementById('secondaryLocationInput');
+    const rawValue = input.value.trim();
+    
+    if (!rawValue) {
+        setSecondaryLocation(null);
+        return;
+    }
+    
+    const normalizedShelf = normalizeShelfLocation(rawValue);
+    if (!normalizedShelf) {
+        showSaveError('Secondary location must be a SHELF (e.g., SHELF 2C).');
+        input.value = window.BoxData.currentSession.boxes[currentBox].secondaryLocation || '';
+        return;
+    }
+    
+    setSecondaryLocation(normalizedShelf);
+    if (window.AudioFeedback) {
+       window.AudioFeedback.speak(`Secondary location set to ${normalizedShelf}`);
+    }
+}
+
+function toggleBoxComplete(boxNumber) {
+    const normalizedBox = normalizeBoxNumber(boxNumber);
+    if (!window.BoxData.currentSession.boxes[normalizedBox]) return;
+    
+    const box = window.BoxData.currentSession.boxes[normalizedBox];
+    const completed = !box.completed;
+    commitOp({
+        type: 'toggleComplete',
+        box: normalizedBox,
+        before: { completed: box.completed, completedAt: box.completedAt, completedBy: box.completedBy || null },
+        after: {
+            completed,
+            completedAt: completed ? new Date().toISOString() : null,
+            completedBy: completed ? currentOperator : null
+        }
+    });
+    
+    updateDisplay();
+    saveToStorage();
+
+    if (window.AudioFeedback) {
+        if (box.completed) {
+            window.AudioFeedback.playSuccess();
+            window.AudioFeedback.speak("Box completed");
+        } else {
+            window.AudioFeedback.speak("Box reopened");
+        }
+    }
+}
+
+// Details set on both sides must agree; one that is missing on either side matches anything
+function hasMatchingDetails(item, details) {
+    return ITEM_DETAIL_FIELDS.every(field => details[field] == null || item[field] == null || item[field] === details[field]);
+}
+
+/**
+ * Builds the op that adds an item to a box, merging quantities into an existing item with
+ * the same name. Nothing is applied; callers commit the op (alone or inside a batch).
+ * Names are compared by their catalog canonical name, and a new item is stored under it
+ * with the catalog's default tags. Items whose details differ from the entry's (e.g., a "fair"
+ * lamp and a "damaged" one) are kept apart; details the merged item lacks are filled in.
+ * @param {string|null} [enteredBy] - Operator stamped on a new item; defaults to the current one.
+ * @param {Object} [details] - Condition, value, SKU and note of the entry (see getItemDetails).
+ * @returns {Op}
+ */
+function buildAddItemOp(boxKey, name, qty, tags, enteredBy = currentOperator, details = {}) {
+    const boxData = window.BoxData.currentSession.boxes[boxKey];
+    const currentItems = boxData ? boxData.items : [];
+    const entry = window.BoxCatalog.find(name);
+    const entryDetails = getItemDetails(details);
+    const sameNames = window.BoxData.findItemsByName(boxKey, entry ? [entry.name, ...entry.variants] : [name])
+        .filter(item => hasMatchingDetails(item, entryDetails));
+    const index = sameNames.length ? Math.min(...sameNames.map(item => currentItems.indexOf(item))) : -1;
+    
+    if (index !== -1) {
+        // Smart Merge Logic
+        // UI reverses array, so last added is top. The merged item moves to the end to appear as "fresh" action
+        const existingItem = currentItems[index];
+        const mergeOp = {
+            type: 'mergeQty',
+            box: boxKey,
+            itemId: existingItem.id,
+            name: existingItem.name,
+            before: { qty: existingItem.qty, addedAt: existingItem.addedAt, index },
+            after: { qty: (existingItem.qty || 1) + qty, addedAt: new Date().toISOString(), index: currentItems.length - 1 }
+        };
+        const filled = ITEM_DETAIL_FIELDS.filter(field => entryDetails[field] !== null && existingItem[field] == null);
+        if (filled.length === 0) return mergeOp;
+        return {
+            type: 'batch',
+            label: `${describeOp(mergeOp)}, ${formatItemDetails(entryDetails, filled)}`,
+            ops: [mergeOp, {
+                type: 'editItem',
+                box: boxKey,
+                itemId: existingItem.id,
+                name: existingItem.name,
+                before: Object.fromEntries(filled.map(field => [field, null])),
+                after: Object.fromEntries(filled.map(field => [field, entryDetails[field]]))
+            }]
+        };
+    }
+    
+    return {
+        type: 'addItem',
+        box: boxKey,
+        index: currentItems.length,
+        boxMeta: boxData ? null : getBoxMeta(createEmptyBoxData()),
+        item: {
+            id: Date.now() + Math.random(),
+            name: entry ? entry.name : name,
+            qty: qty,
+            addedAt: new Date().toISOString(),
+            isDuplicate: false,
+            tags: [...new Set([...(tags || []), ...(entry ? entry.tags : [])])],
+            enteredBy: enteredBy || null,
+            ...entryDetails
+        }
+    };
+}
+
+/**
+ * Adds an item to a box through the operation log.
+ * Does not touch UI state, so it is shared by keyboard entry and remote (mobile) requests.
+ * @returns {{item: Item, merged: boolean}}
+ */
+function addItemToBox(boxKey, name, qty, tags, enteredBy, details) {
+    const op = commitOp(buildAddItemOp(boxKey, name, qty, tags, enteredBy, details));
+    // Merges that fill in details come back as a batch led by the mergeQty op
+    const added = op.type === 'batch' ? op.ops[0] : op;
+    const itemId = added.type === 'mergeQty' ? added.itemId : added.item.id;
+    const item = window.BoxData.currentSession.boxes[boxKey].items.find(i => i.id === itemId);
+    window.BoxCatalog.record(item.name);
+    window.BoxCatalog.save();
+    return { item, merged: added.type === 'mergeQty' };
+}
+
+function addItem(itemName) {
+    if (!currentBox) {
+        alert('Please enter a box number first');
+        return;
+    }
+    
+    const parsed = parseItemEntry(itemName);
+    // Check if there is an active context from voice command
+    const contextTags = getContextTags();
+    const { item, merged } = addItemToBox(currentBox, parsed.name, parsed.qty, contextTags, undefined, parsed);
+    
+    updateDisplay();
+    saveToStorage();
+    
+    if (merged) {
+        flashSuccess();
+        if (window.AudioFeedback) {
+             window.AudioFeedback.playSuccess();
+             window.AudioFeedback.speak(`Quantity updated to ${item.qty}`);
+        }
+        return;
+    }
+    
+    if (window.AudioFeedback) window.AudioFeedback.playSuccess();
+}
+
+// Box fields other than items, kept on ops that create or remove a whole box
+function getBoxMeta(boxData) {
+    return {
+        completed: boxData.completed,
+        completedAt: boxData.completedAt,
+        completedBy: boxData.completedBy || null,
+        secondaryLocation: boxData.secondaryLocation
+    };
+}
+
+function deleteItem(boxNumber, itemId) {
+    const normalizedBox = normalizeBoxNumber(boxNumber);
+    if (!window.BoxData.currentSession.boxes[normalizedBox]) return;
+    
+    const boxData = window.BoxData.currentSession.boxes[normalizedBox];
+    const index = boxData.items.findIndex(item => item.id === itemId);
+    if (index !== -1) {
+        // Emptied boxes other than the current one are removed along with their last item
+        const removesBox = boxData.items.length === 1 && normalizedBox !== currentBox;
+        commitOp({
+            type: 'deleteItem',
+            box: normalizedBox,
+            item: boxData.items[index],
+            index,
+            boxMeta: removesBox ? getBoxMeta(boxData) : null
+        });
+        
+        updateDisplay();
+        saveToStorage();
+    }
+}
+
+// --- Moving Items & Merging Boxes ---
+
+/**
+ * Builds the op that moves items to another location, keeping their ids, tags and addedAt.
+ * Moving into MISSING records where each item was last seen; moving out of it clears that.
+ * @param {string} fromBox
+ * @param {Array<number>} itemIds - In the order they should land in the target box.
+ * @param {string} toBox
+ * @returns {Op|null} A moveItem op, a batch, or null if none of the items exist.
+ */
+function buildMoveItemsOp(fromBox, itemIds, toBox) {
+    const sessionBoxes = window.BoxData.currentSession.boxes;
+    const source = sessionBoxes[fromBox];
+    const sourceIds = (source?.items || []).map(item => item.id);
+    let targetLength = sessionBoxes[toBox] ? sessionBoxes[toBox].items.length : 0;
+    let targetExists = !!sessionBoxes[toBox];
+    const now = new Date().toISOString();
+    
+    const ops = [];
+    const names = [];
+    for (const itemId of itemIds) {
+        const index = sourceIds.indexOf(itemId);
+        if (index === -1) continue;
+        sourceIds.splice(index, 1);
+        const item = source.items.find(i => i.id === itemId);
+        names.push(item.name);
+        ops.push({
+            type: 'moveItem',
+            box: fromBox,
+            toBox,
+            itemId,
+            name: item.name,
+            index,
+            toIndex: targetLength++,
+            boxMeta: null,
+            toBoxMeta: targetExists ? null : getBoxMeta(createEmptyBoxData())
+        });
+        targetExists = true;
+        
+        if (isMissingLocation(toBox) || isMissingLocation(fromBox)) {
+            const lastSeen = isMissingLocation(toBox)
+                ? { box: fromBox, secondaryLocation: source.secondaryLocation || null, at: now }
+                : null;
+            ops.push({ type: 'editItem', box: toBox, itemId, before: { lastSeen: item.lastSeen || null }, after: { lastSeen } });
+        }
+    }
+    if (ops.length === 0) return null;
+    if (ops.length === 1) return ops[0];
+    
+    const what = names.length === 1 ? `"${names[0]}"` : `${names.length} items`;
+    let label = `Moved ${what} from ${fromBox} to ${toBox}`;
+    if (isMissingLocation(toBox)) label = `Marked ${what} missing from ${fromBox}`;
+    if (isMissingLocation(fromBox)) label = `Found ${what} in ${toBox}`;
+    return { type: 'batch', label, ops };
+}
+
+/**
+ * Moves items from one location to another as a single undoable change.
+ * @returns {boolean} False if nothing was moved.
+ */
+function moveItems(fromBox, itemIds, toBox) {
+    if (fromBox === toBox) {
+        alert(`Items are already in ${toBox}`);
+        return false;
+    }
+    const op = buildMoveItemsOp(fromBox, itemIds, toBox);
+    if (!op) return false;
+    
+    commitOp(op);
+    selectedItemIds.clear();
+    updateDisplay();
+    saveToStorage();
+    
+    const count = op.type === 'batch' ? op.ops.filter(child => child.type === 'moveItem').length : 1;
+    const message = isMissingLocation(toBox)
+        ? `Marked ${count} ${count === 1 ? 'item' : 'items'} missing`
+        : `Moved ${count} ${count === 1 ? 'item' : 'items'} to ${toBox}`;
+    showToast(message);
+    if (window.AudioFeedback) window.AudioFeedback.speak(message);
+    return true;
+}
+
+/**
+ * Moves every item from one location into another and removes the emptied source.
+ * Same-named items are combined into one entry, like addItem's smart merge: only when their
+ * details agree, filling in the details and tags the target item lacks. Items with photos
+ * are moved rather than combined, so the photos stay with them.
+ */
+function mergeBoxes(sourceBox, targetBox) {
+    const sessionBoxes = window.BoxData.currentSession.boxes;
+    const source = sessionBoxes[sourceBox];
+    if (sourceBox === targetBox) {
+        alert('Cannot merge a location into itself');
+        return;
+    }
+    if (isMissingLocation(sourceBox) || isMissingLocation(targetBox)) {
+        alert('MISSING cannot be merged. Use the missing items panel to resolve items.');
+        return;
+    }
+    if (!source || source.items.length === 0) {
+        alert(`${sourceBox} has no items to merge`);
+        return;
+    }
+    
+    const target = sessionBoxes[targetBox];
+    // Running view of the target box as the ops below will leave it
+    const toEntry = item => ({ id: item.id, name: item.name, qty: item.qty || 1, addedAt: item.addedAt, tags: [...(item.tags || [])], ...getItemDetails(item) });
+    const targetItems = target ? target.items.map(toEntry) : [];
+    const ops = [];
+    let combined = 0;
+    
+    source.items.forEach((item, i) => {
+        const isLast = i === source.items.length - 1;
+        // Items leave the source in order, so each one is at index 0 when it is taken out
+        const details = getItemDetails(item);
+        const hasPhotos = (item.photos || []).length > 0;
+        const match = !hasPhotos && targetItems.find(t => window.BoxCatalog.nameKey(t.name) === window.BoxCatalog.nameKey(item.name) && hasMatchingDetails(t, details));
+        if (match) {
+            const index = targetItems.indexOf(match);
+            ops.push({
+                type: 'mergeQty',
+                box: targetBox,
+                itemId: match.id,
+                name: match.name,
+                before: { qty: match.qty, addedAt: match.addedAt, index },
+                after: { qty: match.qty + (item.qty || 1), addedAt: match.addedAt, index }
+            });
+            match.qty += item.qty || 1;
+            const filled = ITEM_DETAIL_FIELDS.filter(field => details[field] !== null && match[field] === null);
+            const addedTags = (item.tags || []).filter(tag => !match.tags.includes(tag));
+            if (filled.length || addedTags.length) {
+                const tagsBefore = addedTags.length ? { tags: [...match.tags] } : {};
+                const tagsAfter = addedTags.length ? { tags: [...match.tags, ...addedTags] } : {};
+                ops.push({
+                    type: 'editItem',
+                    box: targetBox,
+                    itemId: match.id,
+                    name: match.name,
+                    before: { ...Object.fromEntries(filled.map(field => [field, null])), ...tagsBefore },
+                    after: { ...Object.fromEntries(filled.map(field => [field, details[field]])), ...tagsAfter }
+                });
+                filled.forEach(field => { match[field] = details[field]; });
+                match.tags.push(...addedTags);
+            }
+            ops.push({
+                type: 'deleteItem',
+                box: sourceBox,
+                item,
+                index: 0,
+                boxMeta: isLast ? getBoxMeta(source) : null,
+                reason: `merged into ${targetBox}`
+            });
+            combined++;
+        } else {
+            ops.push({
+                type: 'moveItem',
+                box: sourceBox,
+                toBox: targetBox,
+                itemId: item.id,
+                name: item.name,
+                index: 0,
+                toIndex: targetItems.length,
+                boxMeta: isLast ? getBoxMeta(source) : null,
+                toBoxMeta: target || targetItems.length > 0 ? null : getBoxMeta(createEmptyBoxData())
+            });
+            targetItems.push(toEntry(item));
+        }
+    });
+    
+    commitOp({ type: 'batch', label: `Merged ${sourceBox} into ${targetBox}`, ops });
+    if (currentBox === sourceBox) {
+        currentBox = targetBox;
+        addRecentLocation(currentBox);
+    }
+    selectedItemIds.clear();
+    updateDisplay();
+    saveToStorage();
+    
+    const message = `Merged ${sourceBox} into ${targetBox}` + (combined ? ` (${combined} combined)` : '');
+    showToast(message);
+    if (window.AudioFeedback) window.AudioFeedback.speak(message);
+}
+
+// Next BOX number after the highest one in the session
+function getNextFreeBoxNumber() {
+    const highest = Object.keys(window.BoxData.currentSession.boxes)
+        .filter(isBoxLocation)
+        .reduce((max, key) => Math.max(max, parseInt(key.slice(3), 10) || 0), 0);
+    return normalizeBoxNumber(String(highest + 1));
+}
+
+function markItemMissing(boxNumber, itemId) {
+    if (isMissingLocation(boxNumber)) return;
+    moveItems(boxNumber, [itemId], MISSING_LOCATION);
+}
+
+function splitSelectedItems() {
+    if (!currentBox || selectedItemIds.size === 0) return;
+    moveItems(currentBox, [...selectedItemIds], getNextFreeBoxNumber());
+}
+
+function toggleItemSelection(itemId) {
+    if (selectedItemIds.has(itemId)) {
+        selectedItemIds.delete(itemId);
+    } else {
+        selectedItemIds.add(itemId);
+    }
+    updateDisplay();
+    focusInput();
+}
+
+function clearItemSelection() {
+    selectedItemIds.clear();
+    updateDisplay();
+    focusInput();
+}
+
+// Item list "Move" button: selects the item and starts a "> location" command in the input
+function startMoveItem(boxNumber, itemId) {
+    if (editingItemId) cancelEdit();
+    selectedItemIds = new Set([itemId]);
+    updateDisplay();
+    const input = document.getElementById('itemInput');
+    input.value = '> ';
+    focusInput();
+}
+
+/**
+ * Runs a command parsed by parseMoveInput.
+ * Moves use the named item, else the selected items, else the last item entered in the current box.
+ */
+function handleMoveInput(command) {
+    if (!command.target) {
+        alert('Move target must be a BOX or SHELF (e.g., > BOX045)');
+        return;
+    }
+    
+    if (command.type === 'merge') {
+        const sourceBox = command.source || currentBox;
+        if (!sourceBox) {
+            alert('Please enter a box number first');
+            return;
+        }
+        mergeBoxes(sourceBox, command.target);
+        return;
+    }
+    
+    const items = currentBox ? window.BoxData.currentSession.boxes[currentBox]?.items || [] : [];
+    let itemIds;
+    if (command.itemName) {
+        const wanted = window.BoxCatalog.nameKey(parseQuantity(command.itemName).name);
+        const item = items.find(i => window.BoxCatalog.nameKey(i.name) === wanted);
+        if (!item) {
+            alert(`No item named "${command.itemName}" in ${currentBox || 'the current box'}`);
+            return;
+        }
+        itemIds = [item.id];
+    } else if (selectedItemIds.size > 0) {
+        itemIds = items.filter(i => selectedItemIds.has(i.id)).map(i => i.id);
+    } else {
+        itemIds = items.length > 0 ? [items[items.length - 1].id] : [];
+    }
+    
+    if (itemIds.length === 0) {
+        alert('There is nothing to move');
+        return;
+    }
+    moveItems(currentBox, itemIds, command.target);
+}
+
+function startEditItem(boxNumber, itemId) {
+    const normalizedBox = normalizeBoxNumber(boxNumber);
+    editingItemId = { boxNumber: normalizedBox, itemId };
+    const items = window.BoxData.currentSession.boxes[normalizedBox].items;
+    const item = items.find(i => i.id === itemId);
+    
+    if (item) {
+        const input = document.getElementById('itemInput');
+        input.value = formatItemEntry(item);
+        updateDisplay();
+        focusInput();
+    }
+}
+
+function saveEditedItem(newName) {
+    if (!editingItemId) return;
+    
+    const { boxNumber, itemId } = editingItemId;
+    const items = window.BoxData.currentSession.boxes[boxNumber].items;
+    const item = items.find(i => i.id === itemId);
+    
+    if (item) {
+        const parsed = parseItemEntry(newName.trim());
+        commitOp({
+            type: 'editItem',
+            box: boxNumber,
+            itemId,
+            before: { name: item.name, qty: item.qty, isDuplicate: item.isDuplicate, ...getItemDetails(item) },
+            after: { name: parsed.name, qty: parsed.qty, isDuplicate: false, ...getItemDetails(parsed) }
+        });
+        updateDisplay();
+        saveToStorage();
+    }
+    
+    editingItemId = null;
+    document.getElementById('itemInput').value = '';
+}
+
+function cancelEdit() {
+    editingItemId = null;
+    document.getElementById('itemInput').value = '';
+    updateDisplay();
+}
+
+
+// --- Session Library ---
+
+function formatSessionDate(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+function getSessionDisplayName(session) {
+    if (session.name) return session.name;
+    return session.startedAt ? `Audit ${formatSessionDate(session.startedAt)}` : session.id;
+}
+
+// Picks the box to show after a session is loaded (original logic just picked the last key)
+function restoreCurrentBox() {
+    const boxes = Object.keys(window.BoxData.currentSession.boxes);
+    recentLocations = [];
+    editingItemId = null;
+    detailsItemId = null;
+    currentBox = boxes.length > 0 ? boxes[boxes.length - 1] : null;
+    if (currentBox) addRecentLocation(currentBox);
+    window.BoxCatalog.indexSession(window.BoxData.currentSession);
+    announceSessionChange();
+}
+
+function renderSessionRows(sessions) {
+    return sessions.map(session => {
+        const id = escapeHtml(session.id);
+        const nameCell = `<strong>${escapeHtml(getSessionDisplayName(session))}</strong>` +
+            (session.active ? ' <span class="badge-new">active</span>' : '') +
+            (session.readable ? '' : ' <span class="badge-existing">unreadable</span>');
+        const actions = [
+            session.active ? '' : `<button class="btn-small btn-primary" data-session-action="open" data-session-id="${id}">Open</button>`,
+            `<button class="btn-small" data-session-action="rename" data-session-id="${id}">Rename</button>`,
+            session.active ? '' : `<button class="btn-small" data-session-action="${session.archived ? 'unarchive' : 'archive'}" data-session-id="${id}">${session.archived ? 'Unarchive' : 'Archive'}</button>`,
+            session.active ? '' : `<button class="btn-small btn-delete" data-session-action="delete" data-session-id="${id}">Delete</button>`
+        ].join(' ');
+        return `<tr data-session-row="${id}">
+            <td class="session-name-cell">${nameCell}<br><span class="modal-muted">Started ${escapeHtml(formatSessionDate(session.startedAt))}</span></td>
+            <td>${session.boxCount} boxes<br><span class="modal-muted">${session.itemCount} items</span></td>
+            <td class="modal-muted">${escapeHtml(formatSessionDate(session.updatedAt))}</td>
+            <td style="white-space: nowrap;">${actions}</td>
+        </tr>`;
+    }).join('');
+}
+
+function renderSessionTable(sessions, emptyText) {
+    if (!sessions.length) return `<p class="modal-muted">${emptyText}</p>`;
+    return `<table class="modal-table">
+        <thead><tr><th>Session</th><th>Contents</th><th>Last saved</th><th></th></tr></thead>
+        <tbody>${renderSessionRows(sessions)}</tbody>
+    </table>`;
+}
+
+async function openSessionManager() {
+    let sessions;
+    try {
+        // Flush first so the active session's row shows current counts
+        await saveToStorage();
+        sessions = await window.BoxData.getStorage().list();
+    } catch (error) {
+        showSaveError('Could not list sessions: ' + error.message);
+        return;
+    }
+    
+    const active = sessions.filter(s => !s.archived);
+    const archived = sessions.filter(s => s.archived);
+    const bodyEl = openModal('Sessions', `
+        <div class="session-new-row">
+            <input type="text" id="newSessionName" class="search-input" placeholder="Name for a new audit session" autocomplete="off" spellcheck="false">
+            <button class="btn-small btn-primary" data-session-action="new">Start new session</button>
+        </div>
+        ${renderSessionTable(active, 'No sessions yet.')}
+        <h4 class="modal-subheading">Archived (${archived.length})</h4>
+        ${renderSessionTable(archived, 'No archived sessions.')}
+    `, [
+        ...(window.BoxData.getStorage().listBackups ? [{ label: 'Restore from backup…', onClick: openBackupPicker }] : []),
+        { label: 'Close', onClick: closeModal }
+    ]);
+    
+    bodyEl.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-session-action]');
+        if (btn) handleSessionAction(btn.dataset.sessionAction, btn.dataset.sessionId, sessions);
+    });
+    bodyEl.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        if (e.target.id === 'newSessionName') {
+            e.preventDefault();
+            handleSessionAction('new');
+        } else if (e.target.dataset.renameSessionId) {
+            e.preventDefault();
+            renameStoredSession(e.target.dataset.renameSessionId, e.target.value);
+        }
+    });
+}
+
+function showSessionRenameInput(sessionId, sessions) {
+    const row = [...document.querySelectorAll('[data-session-row]')].find(r => r.dataset.sessionRow === sessionId);
+    const session = sessions.find(s => s.id === sessionId);
+    if (!row || !session) return;
+    const cell = row.querySelector('.session-name-cell');
+    cell.innerHTML = `<input type="text" class="search-input" data-rename-session-id="${escapeHtml(sessionId)}" value="${escapeHtml(session.name || '')}" placeholder="Session name">`;
+    cell.querySelector('input').focus();
+}
+
+async function renameStoredSession(sessionId, name) {
+    const cleanName = String(name || '').trim() || null;
+    if (sessionId === window.BoxData.currentSession.id) {
+        window.BoxData.currentSession.name = cleanName;
+        saveToStorage();
+        updateDisplay();
+    } else {
+        try {
+            await window.BoxData.getStorage().rename(sessionId, cleanName);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+    }
+    openSessionManager();
+}
+
+async function handleSessionAction(action, sessionId, sessions) {
+    try {
+        if (action === 'new') {
+            const nameInput = document.getElementById('newSessionName');
+            const name = nameInput ? nameInput.value.trim() : '';
+            if (!await saveToStorage()) {
+                alert('The current session could not be saved, so a new one was not started.');
+                return;
+            }
+            startNewSession(name || null);
+            restoreCurrentBox();
+            closeModal();
+            updateDisplay();
+            showToast(`Started ${name || 'new session'}`);
+            return;
+        }
+        if (action === 'open') {
+            await window.BoxData.openStoredSession(sessionId);
+            restoreCurrentBox();
+            closeModal();
+            updateDisplay();
+            showToast(`Opened ${getSessionDisplayName(window.BoxData.currentSession)}`);
+            return;
+        }
+        if (action === 'rename') {
+            showSessionRenameInput(sessionId, sessions);
+            return;
+        }
+        
+        const storage = window.BoxData.getStorage();
+        if (action === 'archive' || action === 'unarchive') {
+            await storage.archive(sessionId, action === 'archive');
+        } else if (action === 'delete') {
+            const session = sessions.find(s => s.id === sessionId);
+            if (!confirm(`Delete "${getSessionDisplayName(session)}" permanently?`)) return;
+            await storage.delete(sessionId);
+        }
+        openSessionManager();
+    } catch (error) {
+        console.error('Session action failed:', error);
+        alert('Session action failed: ' + error.message);
+    }
+}
+
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function openBackupPicker() {
+    const session = window.BoxData.currentSession;
+    let backups;
+    try {
+        backups = await window.BoxData.getStorage().listBackups(session.id);
+    } catch (error) {
+        showSaveError('Could not list backups: ' + error.message);
+        return;
+    }
+    
+    const rows = backups.map(backup => `<tr>
+        <td>${escapeHtml(formatSessionDate(backup.createdAt))}</td>
+        <td>${backup.valid ? `${backup.boxCount} boxes • ${backup.itemCount} items` : '<span class="badge-existing">unreadable</span>'}</td>
+        <td class="modal-muted">${formatFileSize(backup.size)}</td>
+        <td>${backup.valid ? `<button class="btn-small btn-primary" data-backup-file="${escapeHtml(backup.file)}">Restore</button>` : ''}</td>
+    </tr>`).join('');
+    
+    const bodyEl = openModal(`Backups • ${getSessionDisplayName(session)}`, backups.length ? `
+        <p class="modal-summary">Backups are taken automatically while you work. Restoring replaces the current session; its present state is backed up first.</p>
+        <table class="modal-table">
+            <thead><tr><th>Taken</th><th>Contents</th><th>Size</th><th></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    ` : '<p class="modal-muted">No backups yet for this session.</p>', [
+        { label: 'Back', onClick: openSessionManager },
+        { label: 'Close', onClick: closeModal }
+    ]);
+    
+    bodyEl.addEventListener('click', async (e) => {
+        const btn = e.target.closest('[data-backup-file]');
+        if (!btn) return;
+        const backup = backups.find(b => b.file === btn.dataset.backupFile);
+        if (!confirm(`Restore the backup from ${formatSessionDate(backup.createdAt)}? Changes made since then will be replaced.`)) return;
+        try {
+            const data = await window.BoxData.getStorage().restoreBackup(session.id, backup.file);
+            if (!data) throw new Error('Backup could not be read');
+            await window.BoxData.applyLoadedSession(data);
+            restoreCurrentBox();
+            closeModal();
+            updateDisplay();
+            showToast('Backup restored');
+        } catch (error) {
+            alert('Restore failed: ' + error.message);
+        }
+    });
+}
+
+
+// --- Missing Items ---
+
+function renderMissingRows(items) {
+    return items.map(item => {
+        const id = escapeHtml(String(item.id));
+        const lastSeen = item.lastSeen && item.lastSeen.box;
+        return `<tr>
+            <td><strong>${escapeHtml(item.name)}</strong>${(item.qty || 1) > 1 ? ` <span class="modal-muted">×${item.qty}</span>` : ''}</td>
+            <td>${lastSeen ? escapeHtml(formatLastSeen(item.lastSeen)) : '<span class="modal-muted">unknown</span>'}
+                ${item.lastSeen && item.lastSeen.at ? `<br><span class="modal-muted">${escapeHtml(formatSessionDate(item.lastSeen.at))}</span>` : ''}</td>
+            <td style="white-space: nowrap;">
+                <input type="text" class="search-input found-input" data-found-item-id="${id}" placeholder="Found in BOX___" autocomplete="off" spellcheck="false">
+                <button class="btn-small btn-primary" data-found-action="found" data-found-item-id="${id}">Found</button>
+                ${lastSeen ? `<button class="btn-small" data-found-action="last-seen" data-found-item-id="${id}">Back in ${escapeHtml(item.lastSeen.box)}</button>` : ''}
+            </td>
+        </tr>`;
+    }).join('');
+}
+
+function openMissingPanel() {
+    const items = window.BoxData.currentSession.boxes[MISSING_LOCATION]?.items || [];
+    if (items.length === 0) {
+        openModal('Missing Items', '<p class="modal-muted">No missing items.</p>', [{ label: 'Close', onClick: closeModal }]);
+        return;
+    }
+    
+    const bodyEl = openModal(`Missing Items (${items.length})`, `
+        <p class="modal-muted">Type where an item turned up (e.g., BOX045 or SHELF 2C) and press Enter.</p>
+        <table class="modal-table">
+            <thead><tr><th>Item</th><th>Last seen</th><th></th></tr></thead>
+            <tbody>${renderMissingRows([...items].reverse())}</tbody>
+        </table>
+    `, [{ label: 'Close', onClick: closeModal }]);
+    
+    const findInput = (itemId) => [...bodyEl.querySelectorAll('[data-found-item-id]')]
+        .find(el => el.tagName === 'INPUT' && el.dataset.foundItemId === itemId);
+    
+    bodyEl.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-found-action]');
+        if (!btn) return;
+        const itemId = btn.dataset.foundItemId;
+        if (btn.dataset.foundAction === 'last-seen') {
+            const item = items.find(i => String(i.id) === itemId);
+            resolveMissingItem(itemId, item && item.lastSeen ? item.lastSeen.box : '');
+        } else {
+            resolveMissingItem(itemId, findInput(itemId).value);
+        }
+    });
+    bodyEl.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || !e.target.dataset.foundItemId) return;
+        e.preventDefault();
+        resolveMissingItem(e.target.dataset.foundItemId, e.target.value);
+    });
+    
+    const firstInput = bodyEl.querySelector('.found-input');
+    if (firstInput) firstInput.focus();
+}
+
+/**
+ * Moves a MISSING item to the location it was found in.
+ * @param {string} itemId - Item id as rendered in the panel.
+ * @param {string} rawLocation - BOX/SHELF the item turned up in.
+ */
+function resolveMissingItem(itemId, rawLocation) {
+    const parsed = parseLocationInput(String(rawLocation || ''));
+    const target = parsed ? parsed.primary : null;
+    if (!target || isMissingLocation(target)) {
+        alert('Enter the BOX or SHELF the item was found in');
+        return;
+    }
+    const item = (window.BoxData.currentSession.boxes[MISSING_LOCATION]?.items || [])
+        .find(i => String(i.id) === String(itemId));
+    if (!item) return;
+    
+    moveItems(MISSING_LOCATION, [item.id], target);
+    openMissingPanel();
+}
+
+
+// --- History ---
+
+function formatHistoryTime(iso) {
+    return iso ? new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }) : '';
+}
+
+function formatItemLabel(name, qty) {
+    return qty > 1 ? `"${name}" ×${qty}` : `"${name}"`;
+}
+
+function describePhotoChange(before, after, target) {
+    const change = (after || []).length - (before || []).length;
+    if (change >= 0) return `${change === 1 ? 'Photo' : `${change} photos`} added to ${target}`;
+    return `${change === -1 ? 'Photo' : `${-change} photos`} removed from ${target}`;
+}
+
+/**
+ * One-line, human-readable summary of an op for the history panel.
+ * @param {Op} op
+ * @returns {string}
+ */
+function describeOp(op) {
+    if (op.revertOf) {
+        // Reverts store the inverse change; describe the change that was taken back
+        const { revertOf, ...inverse } = window.BoxData.invertOp(op);
+        return `Reverted: ${describeOp(inverse)}`;
+    }
+    switch (op.type) {
+        case 'addItem':
+            return `Added ${formatItemLabel(op.item.name, op.item.qty)}`;
+        case 'deleteItem':
+            return `Deleted ${formatItemLabel(op.item.name, op.item.qty)}`;
+        case 'editItem': {
+            if (op.after.tags && op.after.name === undefined) {
+                return `Tags on "${op.name}": ${op.after.tags.join(', ') || 'none'}`;
+            }
+            if (op.after.photos && op.after.name === undefined) {
+                return describePhotoChange(op.before.photos, op.after.photos, `"${op.name}"`);
+            }
+            const detailFields = ITEM_DETAIL_FIELDS.filter(field => field in op.after);
+            if (detailFields.length && op.after.name === undefined) {
+                return `Details of "${op.name}": ${formatItemDetails(op.after, detailFields)}`;
+            }
+            if (!op.after.name) return 'Last seen location updated';
+            return `Edited ${formatItemLabel(op.before.name, op.before.qty)} → ${formatItemLabel(op.after.name, op.after.qty)}`;
+        }
+        case 'mergeQty':
+            return `"${op.name}" quantity ${op.before.qty} → ${op.after.qty}`;
+        case 'moveItem':
+            return `Moved "${op.name}" from ${op.box} to ${op.toBox}`;
+        case 'setSecondaryLocation':
+            return `${op.after ? `Secondary location set to ${op.after}` : 'Secondary location cleared'}`;
+        case 'setBoxPhotos':
+            return describePhotoChange(op.before, op.after, op.box);
+        case 'toggleComplete':
+            return `${op.after.completed ? 'Marked complete' : 'Reopened'}`;
+        case 'batch': {
+            if (op.label) return op.label;
+            const [first, second] = op.ops;
+            if (op.ops.length === 2 && first.type === 'deleteItem' && second.type === 'addItem' && first.item.id === second.item.id) {
+                return `Moved "${first.item.name}" from ${first.box} to ${second.box}`;
+            }
+            if (op.ops.every(child => child.type === 'moveItem' && child.box === first.box && child.toBox === first.toBox)) {
+                return `Moved ${op.ops.length} items from ${first.box} to ${first.toBox}`;
+            }
+            if (op.ops.every(child => child.type === 'addItem')) {
+                return `Added ${op.ops.length} items`;
+            }
+            if (op.ops.every(child => child.type === 'deleteItem')) {
+                return `Deleted ${op.ops.length} items`;
+            }
+            return `${op.ops.length} changes`;
+        }
+        default:
+            return op.type;
+    }
+}
+
+function renderHistoryRows(log) {
+    const rows = log.ops.map((op, index) => {
+        const applied = index < log.position;
+        const isCurrent = index === log.position - 1;
+        const actions = [
+            isCurrent ? '<span class="badge-new">current</span>' : `<button class="btn-small" data-history-position="${index + 1}">Restore here</button>`,
+            applied ? `<button class="btn-small" data-history-revert="${index}">Revert</button>` : ''
+        ].join(' ');
+        return `<tr class="history-row${applied ? '' : ' history-undone'}" data-history-position="${index + 1}">
+            <td class="modal-muted">${escapeHtml(formatHistoryTime(op.at))}</td>
+            <td>${escapeHtml(window.BoxData.getOpBoxes(op).join(', '))}</td>
+            <td>${escapeHtml(describeOp(op))}</td>
+            <td style="white-space: nowrap;">${actions}</td>
+        </tr>`;
+    }).reverse();
+    
+    rows.push(`<tr class="history-row" data-history-position="0">
+        <td class="modal-muted">${escapeHtml(formatHistoryTime(window.BoxData.currentSession.startedAt))}</td>
+        <td></td>
+        <td class="modal-muted">Session start</td>
+        <td>${log.position === 0 ? '<span class="badge-new">current</span>' : ''}</td>
+    </tr>`);
+    return rows.join('');
+}
+
+function openHistoryPanel() {
+    const log = window.BoxData.currentSession.opLog;
+    if (!log || log.ops.length === 0) {
+        openModal('History', '<p class="modal-muted">No changes recorded yet.</p>', [
+            { label: 'Removed items…', onClick: openRemovedItemsReport },
+            { label: 'Close', onClick: closeModal }
+        ]);
+        return;
+    }
+    
+    const bodyEl = openModal('History', `
+        <p class="modal-muted">Newest first. Click a row to restore the session to that point; later changes stay available to redo. Revert undoes a single change and keeps everything after it.</p>
+        <table class="modal-table history-table">
+            <thead><tr><th>Time</th><th>Location</th><th>Change</th><th></th></tr></thead>
+            <tbody>${renderHistoryRows(log)}</tbody>
+        </table>
+    `, [
+        { label: 'Removed items…', onClick: openRemovedItemsReport },
+        { label: 'Close', onClick: closeModal }
+    ]);
+    
+    bodyEl.addEventListener('click', (e) => {
+        const revertBtn = e.target.closest('[data-history-revert]');
+        if (revertBtn) {
+            revertHistoryEntry(parseInt(revertBtn.dataset.historyRevert, 10));
+            return;
+        }
+        const target = e.target.closest('[data-history-position]');
+        if (target) {
+            jumpToHistoryPoint(parseInt(target.dataset.historyPosition, 10));
+        }
+    });
+}
+
+function jumpToHistoryPoint(position) {
+    if (window.BoxData.jumpToHistory(position)) {
+        updateDisplay();
+        openHistoryPanel();
+    }
+}
+
+function revertHistoryEntry(index) {
+    try {
+        const op = window.BoxData.revertOp(index);
+        updateDisplay();
+        openHistoryPanel();
+        showToast(describeOp(op));
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+// Undoes the latest change in the current box only (Ctrl+Alt+Z)
+function undoInCurrentBox() {
+    if (!currentBox) return;
+    try {
+        const op = window.BoxData.undoInBox(currentBox);
+        if (!op) {
+            showToast(`Nothing to undo in ${currentBox}`);
+            return;
+        }
+        updateDisplay();
+        showToast(describeOp(op));
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+
+// --- Item Change Logs ---
+
+/**
+ * Human-readable text for one item log event.
+ * @param {ItemEvent} event
+ * @returns {string}
+ */
+function describeItemEvent(event) {
+    let text;
+    switch (event.type) {
+        case 'created':
+            text = `Created in ${event.box}`;
+            break;
+        case 'restored':
+            text = `Restored to ${event.box}`;
+            break;
+        case 'deleted':
+            text = `Deleted from ${event.box}${event.reason ? ` (${event.reason})` : ''}`;
+            break;
+        case 'renamed':
+            text = `Renamed "${event.from}" → "${event.to}"`;
+            break;
+        case 'qty':
+            text = `Quantity ${event.from} → ${event.to}`;
+            break;
+        case 'moved':
+            text = `Moved ${event.from} → ${event.to}`;
+            break;
+        case 'tagged':
+            text = `Tags [${(event.from || []).join(', ')}] → [${(event.to || []).join(', ')}]`;
+            break;
+        case 'photos':
+            text = `Photos ${event.from} → ${event.to}`;
+            break;
+        case 'detail': {
+            const label = ITEM_DETAIL_LABELS[event.field] || event.field;
+            text = `${label.charAt(0).toUpperCase()}${label.slice(1)} ${formatItemDetail(event.field, event.from)} → ${formatItemDetail(event.field, event.to)}`;
+            break;
+        }
+        default:
+            text = event.type;
+    }
+    return event.via ? `${text} (${event.via})` : text;
+}
+
+function renderItemLogTable(log) {
+    if (!log || log.length === 0) return '<p class="modal-muted">No changes recorded for this item.</p>';
+    const rows = [...log].reverse().map(event => `<tr>
+        <td class="modal-muted" style="white-space: nowrap;">${escapeHtml(formatSessionDate(event.at))}</td>
+        <td>${escapeHtml(describeItemEvent(event))}</td>
+    </tr>`).join('');
+    return `<table class="modal-table">
+        <thead><tr><th>When</th><th>Change</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function openItemLog(boxNumber, itemId) {
+    const boxData = window.BoxData.currentSession.boxes[boxNumber];
+    const item = boxData && boxData.items.find(i => i.id === itemId);
+    if (!item) return;
+    openModal(`${item.name}${(item.qty || 1) > 1 ? ` ×${item.qty}` : ''}`, `
+        <p class="modal-muted">${escapeHtml(boxNumber)} • newest first</p>
+        ${renderItemLogTable(item.log)}
+    `, [{ label: 'Close', onClick: closeModal }]);
+}
+
+// Reason column for the removed-items report
+function getRemovalReason(entry) {
+    const deleted = [...(entry.item.log || [])].reverse().find(event => event.type === 'deleted');
+    if (!deleted) return 'Deleted';
+    if (deleted.reason) return deleted.reason.charAt(0).toUpperCase() + deleted.reason.slice(1);
+    return deleted.via ? `Deleted (${deleted.via})` : 'Deleted';
+}
+
+function generateRemovedItemsCSV(removedItems) {
+    const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+    let csv = 'Item Name,Qty,Box,Removed At,Reason,Added At\n';
+    for (const entry of removedItems) {
+        csv += [
+            quote(entry.item.name),
+            entry.item.qty || 1,
+            entry.box,
+            entry.removedAt,
+            quote(getRemovalReason(entry)),
+            entry.item.addedAt || ''
+        ].join(',') + '\n';
+    }
+    return csv;
+}
+
+function openRemovedItemsReport() {
+    const session = window.BoxData.currentSession;
+    const removedItems = session.removedItems || [];
+    if (removedItems.length === 0) {
+        openModal('Removed Items', '<p class="modal-muted">No items have been removed during this audit.</p>', [
+            { label: 'Close', onClick: closeModal }
+        ]);
+        return;
+    }
+    
+    const rows = [...removedItems].reverse().map((entry, i) => `<tr>
+        <td><strong>${escapeHtml(entry.item.name)}</strong>${(entry.item.qty || 1) > 1 ? ` <span class="modal-muted">×${entry.item.qty}</span>` : ''}</td>
+        <td>${escapeHtml(entry.box)}</td>
+        <td class="modal-muted">${escapeHtml(formatSessionDate(entry.removedAt))}</td>
+        <td>${escapeHtml(getRemovalReason(entry))}</td>
+        <td><button class="btn-small" data-removed-log="${removedItems.length - 1 - i}">Log</button></td>
+    </tr>`).join('');
+    
+    const bodyEl = openModal(`Removed Items (${removedItems.length})`, `
+        <p class="modal-muted">Items deleted during this audit, newest first. Undoing the change that removed an item puts it back.</p>
+        <table class="modal-table">
+            <thead><tr><th>Item</th><th>Box</th><th>Removed</th><th>Reason</th><th></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `, [
+        {
+            label: 'Export CSV',
+            onClick: () => downloadFile(
+                generateRemovedItemsCSV(removedItems),
+                `box-audit-removed-${new Date().toISOString().split('T')[0]}.csv`,
+                'text/csv'
+            )
+        },
+        { label: 'Close', onClick: closeModal }
+    ]);
+    
+    bodyEl.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-removed-log]');
+        if (!btn) return;
+        const entry = removedItems[parseInt(btn.dataset.removedLog, 10)];
+        openModal(`${entry.item.name} (removed)`, `
+            <p class="modal-muted">Last in ${escapeHtml(entry.box)} • newest first</p>
+            ${renderItemLogTable(entry.item.log)}
+        `, [
+            { label: 'Back', onClick: openRemovedItemsReport },
+            { label: 'Close', onClick: closeModal }
+        ]);
+    });
+}
+
+
+// --- Remote (Mobile) Requests ---
+
+function remoteError(status, message) {
+    return { status, body: { error: message } };
+}
+
+function remoteConflict(conflict, message) {
+    return { status: 409, body: { error: message, conflict } };
+}
+
+// Client op ids of applied phone changes are kept so a replayed offline queue is not applied twice
+const REMOTE_OP_ID_LIMIT = 500;
+
+function hasAppliedRemoteOp(opId) {
+    const opIds = window.BoxData.currentSession.remoteOpIds;
+    return !!opId && Array.isArray(opIds) && opIds.includes(opId);
+}
+
+function recordRemoteOp(opId) {
+    if (!opId) return;
+    const session = window.BoxData.currentSession;
+    if (!Array.isArray(session.remoteOpIds)) session.remoteOpIds = [];
+    session.remoteOpIds.push(opId);
+    if (session.remoteOpIds.length > REMOTE_OP_ID_LIMIT) {
+        session.remoteOpIds.splice(0, session.remoteOpIds.length - REMOTE_OP_ID_LIMIT);
+    }
+}
+
+/**
+ * Checks a queued phone change against what happened on the desktop while it waited.
+ * @param {{opId?: string, sessionId?: string, force?: boolean}} payload - force skips the conflict checks
+ * @param {string} boxKey - Location the change writes to
+ * @returns {{status: number, body: Object}|null} Response to send instead of applying, or null to apply.
+ */
+function checkRemoteChange(payload, boxKey) {
+    if (hasAppliedRemoteOp(payload.opId)) {
+        return { status: 200, body: { ok: true, duplicate: true } };
+    }
+    if (payload.force) return null;
+
+    const session = window.BoxData.currentSession;
+    if (payload.sessionId && payload.sessionId !== session.id) {
+        return remoteConflict('session-changed', 'The desktop has switched to a different audit session');
+    }
+    const boxData = session.boxes[boxKey];
+    if (boxData && boxData.completed) {
+        return remoteConflict('box-completed', `${boxKey} was marked complete on the desktop`);
+    }
+    return null;
+}
+
+// Explains why a MISSING item a phone wants to resolve is no longer there
+function getMissingItemConflict(itemId) {
+    const session = window.BoxData.currentSession;
+    const removed = (session.removedItems || []).find(entry => String(entry.item.id) === String(itemId));
+    if (removed) {
+        return remoteConflict('item-deleted', `${removed.item.name} was deleted on the desktop`);
+    }
+    for (const [boxKey, boxData] of Object.entries(session.boxes)) {
+        const item = (boxData.items || []).find(entry => String(entry.id) === String(itemId));
+        if (item) return remoteConflict('item-moved', `${item.name} is already in ${boxKey}`);
+    }
+    return remoteError(404, 'Item is not in MISSING');
+}
+
+function resolveRemoteLocation(raw) {
+    const value = String(raw || '').trim();
+    if (!value) return null;
+    const parsed = parseLocationInput(value);
+    return parsed && parsed.primary ? parsed.primary : normalizeBoxNumber(value);
+}
+
+/**
+ * Answers an /api/* request forwarded by the Electron main process.
+ * @param {{action: string, payload: Object}} request
+ * @returns {{status: number, body: Object}}
+ */
+function handleRemoteRequest(request) {
+    const action = request && request.action;
+    const payload = (request && request.payload) || {};
+    const sessionBoxes = window.BoxData.currentSession.boxes;
+
+    if (action === 'list-boxes') {
+        return { status: 200, body: { boxes: Object.keys(sessionBoxes) } };
+    }
+
+    if (action === 'summary') {
+        // Everything the mobile box list needs in one request
+        const boxes = Object.keys(sessionBoxes).map(summarizeBox);
+        return { status: 200, body: { sessionId: window.BoxData.currentSession.id, boxes } };
+    }
+
+    if (action === 'get-box') {
+        const boxKey = resolveRemoteLocation(payload.box);
+        if (!boxKey) return remoteError(400, 'Box is required');
+        return { status: 200, body: { box: boxKey, data: sessionBoxes[boxKey] || null } };
+    }
+
+    if (action === 'add-item') {
+        const boxKey = resolveRemoteLocation(payload.box);
+        const name = String(payload.name || '').trim();
+        const qty = parseInt(payload.qty, 10) || 1;
+        if (!boxKey) return remoteError(400, 'Box is required');
+        if (!name) return remoteError(400, 'Item name is required');
+        const rejected = checkRemoteChange(payload, boxKey);
+        if (rejected) return rejected;
 
-function deleteItem(boxNumber, itemId) {
-    const normalizedBox = normalizeBoxNumber(boxNumber);
-    if (!window.BoxData.currentSession.boxes[normalizedBox]) return;
-    
-    const items = window.BoxData.currentSession.boxes[normalizedBox].items;
-    const index = items.findIndex(item => item.id === itemId);
-    if (index !== -1) {
-        items.splice(index, 1);
-        
-        if (items.length === 0 && normalizedBox !== currentBox) {
-            delete window.BoxData.currentSession.boxes[normalizedBox];
-        }
-        
-        saveStateToHistory();
+        // Phones are not the station's operator; they may name their own
+        const operator = String(payload.operator || '').trim() || null;
+        const { item, merged } = addItemToBox(boxKey, name, Math.max(qty, 1), [], operator);
+        recordRemoteOp(payload.opId);
         updateDisplay();
         saveToStorage();
+        return { status: 200, body: { ok: true, box: boxKey, item, merged } };
     }
-}
 
-function startEditItem(boxNumber, itemId) {
-    const normalizedBox = normalizeBoxNumber(boxNumber);
-    editingItemId = { boxNumber: normalizedBox, itemId };
-    const items = window.BoxData.currentSession.boxes[normalizedBox].items;
-    const item = items.find(i => i.id === itemId);
-    
-    if (item) {
-        const input = document.getElementById('itemInput');
-        input.value = item.name;
+    if (action === 'mark-found') {
+        const targetKey = resolveRemoteLocation(payload.target);
+        if (!targetKey) return remoteError(400, 'Target location is required');
+        if (isMissingLocation(targetKey)) return remoteError(400, 'Target must be a box or shelf');
+        const rejected = checkRemoteChange(payload, targetKey);
+        if (rejected) return rejected;
+
+        const missingBox = sessionBoxes[MISSING_LOCATION];
+        const items = missingBox && missingBox.items ? missingBox.items : [];
+        const index = items.findIndex(item => String(item.id) === String(payload.itemId));
+        if (index === -1) return getMissingItemConflict(payload.itemId);
+
+        const item = items[index];
+        commitOp(buildMoveItemsOp(MISSING_LOCATION, [item.id], targetKey));
+        recordRemoteOp(payload.opId);
+
         updateDisplay();
-        focusInput();
+        saveToStorage();
+        return { status: 200, body: { ok: true, box: targetKey, item } };
     }
+
+    return remoteError(404, `Unknown action: ${action}`);
 }
 
-function saveEditedItem(newName) {
-    if (!editingItemId) return;
-    
-    const { boxNumber, itemId } = editingItemId;
-    const items = window.BoxData.currentSession.boxes[boxNumber].items;
-    const item = items.find(i => i.id === itemId);
+// --- Live Sync ---
+
+const REMOTE_EVENT_TYPES = {
+    addItem: 'item-added',
+    deleteItem: 'item-removed',
+    editItem: 'item-changed',
+    moveItem: 'item-moved',
+    setSecondaryLocation: 'location-changed',
+    setBoxPhotos: 'box-changed'
+};
+
+/**
+ * What the mobile box list shows for a location.
+ * @param {string} boxKey
+ * @returns {{box: string, exists: boolean, itemCount: number, qty: number, completed: boolean, completedBy: string|null, secondaryLocation: string|null}}
+ */
+function summarizeBox(boxKey) {
+    const boxData = window.BoxData.currentSession.boxes[boxKey];
+    const items = boxData && boxData.items ? boxData.items : [];
+    return {
+        box: boxKey,
+        exists: !!boxData,
+        itemCount: items.length,
+        qty: items.reduce((sum, item) => sum + (item.qty || 1), 0),
+        completed: !!(boxData && boxData.completed),
+        completedBy: (boxData && boxData.completedBy) || null,
+        secondaryLocation: (boxData && boxData.secondaryLocation) || null
+    };
+}
+
+// Turns an applied op into change events; each carries fresh summaries of the boxes it touched
+function getRemoteEvents(op) {
+    if (op.type === 'batch') return op.ops.flatMap(getRemoteEvents);
     
-    if (item) {
-        const parsed = parseQuantity(newName.trim());
-        item.name = parsed.name;
-        item.qty = parsed.qty;
-        item.isDuplicate = false;
-        saveStateToHistory();
-        updateDisplay();
-        saveToStorage();
-    }
+    let type = REMOTE_EVENT_TYPES[op.type];
+    if (op.type === 'mergeQty') type = op.after.qty > op.before.qty ? 'item-added' : 'item-changed';
+    if (op.type === 'toggleComplete') type = op.after.completed ? 'box-completed' : 'box-reopened';
     
-    editingItemId = null;
-    document.getElementById('itemInput').value = '';
+    const event = { type, box: op.box, boxes: window.BoxData.getOpBoxes(op).map(summarizeBox) };
+    if (op.type === 'moveItem') event.toBox = op.toBox;
+    if (op.item) event.item = { id: op.item.id, name: op.item.name, qty: op.item.qty };
+    if (op.type === 'setSecondaryLocation') event.secondaryLocation = op.after;
+    return [event];
 }
 
-function cancelEdit() {
-    editingItemId = null;
-    document.getElementById('itemInput').value = '';
-    updateDisplay();
+function sendRemoteEvent(event) {
+    if (!window.electronAPI || !window.electronAPI.sendRemoteEvent) return;
+    window.electronAPI.sendRemoteEvent(event);
+}
+
+// Called by data.js for every op applied, whether typed here, sent by a phone or undone
+function announceOp(op) {
+    if (!window.electronAPI || !window.electronAPI.sendRemoteEvent) return;
+    getRemoteEvents(op).forEach(sendRemoteEvent);
+}
+window.announceOp = announceOp;
+
+// A session opened, started or replaced by an import: phones reload everything
+function announceSessionChange() {
+    sendRemoteEvent({ type: 'session-changed', sessionId: window.BoxData.currentSession.id });
+}
+
+function showRemoteInfo() {
+    if (!window.electronAPI || !window.electronAPI.getRemoteInfo) return;
+    window.electronAPI.getRemoteInfo().then(info => {
+        const remoteInfoEl = document.getElementById('remoteInfo');
+        if (!remoteInfoEl || !info || !info.urls.length) return;
+        remoteInfoEl.textContent = `Mobile: ${info.urls.join(' • ')}`;
+        remoteInfoEl.style.display = 'block';
+    }).catch(() => {});
 }
 
 
 // --- Event Handlers ---
 
 function handleInputKeyDown(e) {
+    if (handleSuggestionKeyDown(e)) return;
+    
     if (e.key === 'Enter') {
         e.preventDefault();
         const input = document.getElementById('itemInput');
@@ -407,8 +2916,14 @@ function handleInputKeyDown(e) {
         
         if (!value) return;
 
+        const moveInput = editingItemId ? null : parseMoveInput(value);
+        const tagCommand = editingItemId ? null : parseTagCommand(value);
         if (editingItemId) {
             saveEditedItem(value);
+        } else if (moveInput) {
+            handleMoveInput(moveInput);
+        } else if (tagCommand) {
+            handleTagCommand(tagCommand);
         } else {
             const locationInput = parseLocationInput(value);
             if (locationInput && locationInput.primary) {
@@ -437,10 +2952,19 @@ function handleInputKeyDown(e) {
         e.preventDefault();
         document.getElementById('itemInput').value = '';
         if (editingItemId) cancelEdit();
+        else if (selectedItemIds.size > 0) clearItemSelection();
     }
 }
 
 function handleGlobalKeyDown(e) {
+    if (isModalOpen()) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeModal();
+        }
+        return;
+    }
+    
     const target = e.target;
     const isTextInput = target && target.tagName === 'INPUT' && target.type === 'text';
     const hasModifier = e.ctrlKey || e.metaKey || e.altKey;
@@ -461,6 +2985,20 @@ function handleGlobalKeyDown(e) {
         }
     }
 
+    // Operator switching works while typing too (Alt+digit does not type anything)
+    if (e.altKey && !e.ctrlKey && !e.metaKey && /^Digit[0-9]$/.test(e.code)) {
+        e.preventDefault();
+        selectOperatorByIndex(parseInt(e.code.slice(5), 10));
+        return;
+    }
+
+    // Per-box undo also works while typing; it cannot clash with the input's own Ctrl+Z
+    if (e.ctrlKey && e.altKey && e.code === 'KeyZ') {
+        e.preventDefault();
+        undoInCurrentBox();
+        return;
+    }
+
     if (isTextInput) {
         if (e.ctrlKey && e.key === 'e') {
             e.preventDefault();
@@ -472,17 +3010,11 @@ function handleGlobalKeyDown(e) {
     
     if (e.ctrlKey && e.key === 'z' && !e.shiftKey) {
         e.preventDefault();
-        if (undo()) {
-            updateDisplay();
-            saveToStorage();
-        }
+        if (undo()) updateDisplay();
     }
     if (e.ctrlKey && e.shiftKey && e.key === 'Z') {
         e.preventDefault();
-        if (redo()) {
-            updateDisplay();
-            saveToStorage();
-        }
+        if (redo()) updateDisplay();
     }
     if (e.ctrlKey && e.key === 'e') {
         e.preventDefault();
@@ -496,11 +3028,12 @@ function handleGlobalKeyDown(e) {
 
 function generateCSV() {
     const sessionBoxes = window.BoxData.currentSession.boxes;
+    const header = 'Item Name,Box,Qty,Secondary Location,Notes,Tags,Condition,Unit Value,Total Value,SKU,Last Seen,Entered By\n';
     if (Object.keys(sessionBoxes).length === 0) {
-        return 'Item Name,Box,Qty,Secondary Location,Notes\n';
+        return header;
     }
     
-    let csv = 'Item Name,Box,Qty,Secondary Location,Notes\n';
+    let csv = header;
     
     for (const [boxNumber, boxData] of Object.entries(sessionBoxes)) {
         if (!boxData || !boxData.items) continue;
@@ -508,15 +3041,33 @@ function generateCSV() {
         for (const item of boxData.items) {
             if (!item || !item.name) continue;
             const name = `"${item.name.replace(/"/g, '""')}"`;
-            // Map tags to Notes column
-            const notes = item.tags && item.tags.length > 0 ? `"${item.tags.join(', ')}"` : '';
-            csv += `${name},${boxNumber},${item.qty || 1},"${secondaryLoc}",${notes}\n`;
+            const tags = item.tags && item.tags.length > 0 ? `"${item.tags.join(CSV_TAG_SEPARATOR).replace(/"/g, '""')}"` : '';
+            const lastSeen = isMissingLocation(boxNumber) ? formatLastSeen(item.lastSeen) : '';
+            const enteredBy = item.enteredBy ? `"${item.enteredBy.replace(/"/g, '""')}"` : '';
+            const details = getItemDetails(item);
+            const note = details.note ? `"${details.note.replace(/"/g, '""')}"` : '';
+            const unitValue = details.value !== null ? details.value : '';
+            const totalValue = details.value !== null ? getItemsValue([item]) : '';
+            const sku = details.sku ? `"${details.sku.replace(/"/g, '""')}"` : '';
+            csv += `${name},${boxNumber},${item.qty || 1},"${secondaryLoc}",${note},${tags},${details.condition || ''},${unitValue},${totalValue},${sku},"${lastSeen}",${enteredBy}\n`;
         }
     }
     
     return csv;
 }
 
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 function exportCSV() {
     try {
         if (Object.keys(window.BoxData.currentSession.boxes).length === 0) {
@@ -530,76 +3081,578 @@ function exportCSV() {
             return;
         }
         
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `box-audit-${new Date().toISOString().split('T')[0]}.csv`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadFile(csv, `box-audit-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
     } catch (error) {
         console.error('Export error:', error);
         alert('Error exporting CSV: ' + error.message);
     }
 }
 
+// Lossless copy of the whole session, including ids, timestamps, completion, logs and history.
+// A session with photos is exported as a zip of the JSON file and a photos/ folder; Import JSON reads both.
+async function exportSessionJSON() {
+    const session = window.BoxData.currentSession;
+    try {
+        const json = JSON.stringify(session, null, 2);
+        const photos = getSessionPhotos(session);
+        if (photos.length === 0) {
+            downloadFile(json, `box-audit-${session.id}.json`, 'application/json');
+            return;
+        }
+        
+        const storage = getPhotoStorage();
+        const entries = [{ name: `box-audit-${session.id}.json`, data: json }];
+        let missing = 0;
+        for (const fileName of photos.flatMap(photo => [photo.file, photo.thumb].filter(Boolean))) {
+            const bytes = storage ? await storage.readPhoto(session.id, fileName) : null;
+            if (bytes) entries.push({ name: `photos/${fileName}`, data: bytes });
+            else missing++;
+        }
+        downloadFile(window.BoxZip.createZip(entries), `box-audit-${session.id}.zip`, 'application/zip');
+        if (missing > 0) showToast(`${missing} photo ${missing === 1 ? 'file was' : 'files were'} not found and left out of the export`);
+    } catch (error) {
+        console.error('Export error:', error);
+        alert('Error exporting session: ' + error.message);
+    }
+}
+
+const IMPORT_PHOTO_PATH = /^photos\/([^/]+)$/;
+
+/**
+ * Reads a session file: plain JSON, or the zip exportSessionJSON writes for a session with photos.
+ * @param {File} file
+ * @returns {Promise<{text: string, photos: {name: string, data: Uint8Array}[]}>} photos: files from the zip's photos/ folder.
+ */
+function readSessionFile(file) {
+    const isZip = /\.zip$/i.test(file.name) || file.type === 'application/zip';
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = async function(e) {
+            if (!isZip) {
+                resolve({ text: e.target.result, photos: [] });
+                return;
+            }
+            try {
+                const entries = await window.BoxZip.readZip(e.target.result);
+                const json = entries.find(entry => !entry.name.includes('/') && /\.json$/i.test(entry.name));
+                if (!json) throw new Error('The zip has no session .json file');
+                resolve({
+                    text: new TextDecoder().decode(json.data),
+                    photos: entries
+                        .filter(entry => IMPORT_PHOTO_PATH.test(entry.name))
+                        .map(entry => ({ name: entry.name.match(IMPORT_PHOTO_PATH)[1], data: entry.data }))
+                });
+            } catch (error) {
+                reject(error);
+            }
+        };
+        reader.onerror = () => reject(new Error('Error reading file: ' + file.name));
+        if (isZip) reader.readAsArrayBuffer(file);
+        else reader.readAsText(file);
+    });
+}
+
+// Saves photo files from an imported or merged zip under the current session. Returns how many failed.
+async function saveImportedPhotos(photos) {
+    const storage = getPhotoStorage();
+    const sessionId = window.BoxData.currentSession.id;
+    let failed = 0;
+    for (const photo of photos) {
+        try {
+            if (!storage) throw new Error('This storage keeps no photos');
+            await storage.savePhoto(sessionId, photo.name, photo.data);
+        } catch (error) {
+            console.error(`Could not save imported photo ${photo.name}:`, error);
+            failed++;
+        }
+    }
+    return failed;
+}
+
+async function importSessionFromJSON(event) {
+    const fileInput = event.target;
+    const file = fileInput.files[0];
+    if (!file) return;
+    
+    let data;
+    let photos;
+    try {
+        const contents = await readSessionFile(file);
+        data = window.BoxData.parseSessionJSON(contents.text);
+        photos = contents.photos;
+    } catch (error) {
+        console.error('Import error:', error);
+        alert('Error importing session: ' + error.message);
+        return;
+    } finally {
+        fileInput.value = '';
+    }
+    
+    let existing;
+    try {
+        existing = await window.BoxData.findStoredSession(data.id);
+    } catch (error) {
+        alert('Could not check the session library: ' + error.message);
+        return;
+    }
+    // Importing under a stored session's id would silently overwrite it
+    const asCopy = !!existing && !confirm(`The session library already has "${getSessionDisplayName(existing)}" (${existing.boxCount} boxes, ${existing.itemCount} items) with the same id as ${file.name}.\n\nOK replaces that stored session with the file. Cancel imports the file as a separate copy instead.`);
+    
+    const summary = window.BoxStorage.summarizeSessionData(data);
+    const current = window.BoxData.currentSession;
+    const keepsCurrent = window.BoxData.getStorage().supportsLibrary && (asCopy || data.id !== current.id);
+    const note = keepsCurrent
+        ? 'The current session stays in the session library.'
+        : 'This replaces the current session.';
+    const copyNote = asCopy ? ' as a copy' : '';
+    const photoNote = photos.length ? `, ${photos.length} photo ${photos.length === 1 ? 'file' : 'files'}` : '';
+    if (!confirm(`Open "${getSessionDisplayName(data)}" (${summary.boxCount} boxes, ${summary.itemCount} items${photoNote}) from ${file.name}${copyNote}? ${note}`)) return;
+    
+    try {
+        await window.BoxData.importSession(data, { asCopy });
+        const failed = await saveImportedPhotos(photos);
+        restoreCurrentBox();
+        updateDisplay();
+        showToast(failed ? `Session imported; ${failed} photo ${failed === 1 ? 'file' : 'files'} could not be saved` : 'Session imported');
+    } catch (error) {
+        alert('Import failed: ' + error.message);
+    }
+}
+
+const IMPORT_PREVIEW_MAX_ITEMS = 8;
+
+function renderImportPreview(imported) {
+    const sessionBoxes = window.BoxData.currentSession.boxes;
+    const boxKeys = Object.keys(imported.boxes);
+    const existingCount = boxKeys.filter(k => sessionBoxes[k]).length;
+    
+    const rows = boxKeys.map(boxKey => {
+        const boxData = imported.boxes[boxKey];
+        const isExisting = !!sessionBoxes[boxKey];
+        const names = boxData.items.slice(0, IMPORT_PREVIEW_MAX_ITEMS).map(item => {
+            const qty = item.qty > 1 ? ` ×${item.qty}` : '';
+            return `${escapeHtml(item.name)}${qty}`;
+        });
+        const more = boxData.items.length - names.length;
+        if (more > 0) names.push(`<span class="modal-muted">+${more} more</span>`);
+        return `<tr>
+            <td><strong>${escapeHtml(boxKey)}</strong><br><span class="${isExisting ? 'badge-existing' : 'badge-new'}">${isExisting ? 'existing' : 'new'}</span></td>
+            <td>${escapeHtml(boxData.secondaryLocation || '')}</td>
+            <td>${names.join('<br>')}</td>
+        </tr>`;
+    }).join('');
+    
+    const skipped = imported.skipped ? ` • ${imported.skipped} rows skipped (missing item name or box)` : '';
+    return `
+        <div class="modal-summary">
+            ${imported.itemCount} items in ${boxKeys.length} boxes
+            (${boxKeys.length - existingCount} new, ${existingCount} already in this session)${skipped}
+        </div>
+        <table class="modal-table">
+            <thead><tr><th>Box</th><th>Secondary</th><th>Items</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p class="modal-muted" style="margin-top: 0.75rem;">
+            Merge appends these items to the current session. Replace discards every box in the current session and clears undo history.
+        </p>
+    `;
+}
+
+/**
+ * Commits parsed CSV boxes into the current session.
+ * @param {{boxes: Object<string, BoxData>, itemCount: number}} imported
+ * @param {'merge'|'replace'} mode
+ */
+function applyImportedBoxes(imported, mode) {
+    const session = window.BoxData.currentSession;
+    
+    if (mode === 'replace') {
+        // A replaced session has nothing left for the old ops to apply to
+        session.boxes = imported.boxes;
+        window.BoxData.normalizeSessionBoxes(session);
+        window.BoxData.ensureItemLogs(session);
+        window.BoxData.resetHistory();
+        window.BoxData.rebuildSearchIndex();
+        announceSessionChange();
+    } else {
+        // Merged as one batch so a single undo takes the whole import back out
+        const ops = [];
+        for (const [boxKey, boxData] of Object.entries(imported.boxes)) {
+            const existing = session.boxes[boxKey];
+            const startIndex = existing ? existing.items.length : 0;
+            boxData.items.forEach((item, i) => {
+                ops.push({
+                    type: 'addItem',
+                    box: boxKey,
+                    item,
+                    index: startIndex + i,
+                    boxMeta: !existing && i === 0 ? getBoxMeta(boxData) : null
+                });
+            });
+            // Preserve secondary location if missing locally
+            if (existing && !existing.secondaryLocation && boxData.secondaryLocation) {
+                ops.push({ type: 'setSecondaryLocation', box: boxKey, before: existing.secondaryLocation, after: boxData.secondaryLocation });
+            }
+        }
+        if (ops.length > 0) commitOp({ type: 'batch', label: `Imported ${imported.itemCount} items from CSV`, ops });
+    }
+    
+    const importedKeys = Object.keys(imported.boxes);
+    if (importedKeys.length > 0) {
+        currentBox = importedKeys[importedKeys.length - 1];
+        addRecentLocation(currentBox);
+    } else if (currentBox && !session.boxes[currentBox]) {
+        currentBox = null;
+    }
+    
+    saveToStorage();
+    updateDisplay();
+}
 
 function importFromCSV(event) {
-    // Reference original implementation but adapted for modular data
-    const file = event.target.files[0];
+    const fileInput = event.target;
+    const file = fileInput.files[0];
     if (!file) return;
     
     const reader = new FileReader();
     reader.onload = function(e) {
+        // Reset so picking the same file again still fires onchange
+        fileInput.value = '';
+        
+        let imported;
         try {
-            const csv = e.target.result;
-            const lines = csv.split('\n').filter(line => line.trim());
-            
-            if (lines.length < 2) {
-                alert('CSV file appears to be empty or invalid');
-                return;
-            }
-            
-            // Basic CSV parsing logic from original...
-            // (For brevity in this extraction, I'm simplifying the copy-paste but keeping logic intact)
-            // ... (Full CSV parsing logic would go here, identical to original but using window.BoxData)
-            
-            // Re-implementing simplified version for the sake of the tool output limit:
-            // In a real scenario I'd copy the full parser. 
-            // I will alert the user that Import needs full testing or I should paste the full function.
-            // Let's assume I paste the full parsing logic here.
-             alert('Import functionality preserved.');
-             
-             // ... parsing logic ...
-             // On success:
-             // window.BoxData.normalizeSessionBoxes();
-             // saveToStorage();
-             // updateDisplay();
+            imported = window.BoxData.parseAuditCSV(e.target.result);
         } catch (error) {
             console.error('Import error:', error);
             alert('Error importing CSV: ' + error.message);
+            return;
+        }
+        
+        if (imported.itemCount === 0) {
+            alert('No valid items found in CSV file');
+            return;
         }
+        
+        const boxCount = Object.keys(imported.boxes).length;
+        const finish = (mode) => {
+            closeModal();
+            applyImportedBoxes(imported, mode);
+            showToast(`Imported ${imported.itemCount} items from ${boxCount} boxes`);
+        };
+        
+        openModal(`Import ${file.name}`, renderImportPreview(imported), [
+            { label: 'Cancel', onClick: closeModal },
+            {
+                label: 'Replace session',
+                className: 'btn-delete',
+                onClick: () => {
+                    if (confirm('Replace all boxes in the current session with the imported data?')) {
+                        finish('replace');
+                    }
+                }
+            },
+            { label: 'Merge into session', className: 'btn-primary', onClick: () => finish('merge') }
+        ]);
+    };
+    reader.onerror = function() {
+        fileInput.value = '';
+        alert('Error reading file: ' + file.name);
     };
     reader.readAsText(file);
 }
 
+// --- Session Merge ---
+
+function renderSessionMergePreview(plan) {
+    const newCount = plan.additions.reduce((sum, addition) => sum + addition.items.length, 0);
+    const newBoxes = plan.additions.filter(addition => addition.boxMeta).length;
+    const extras = [
+        plan.locations.length ? `${plan.locations.length} secondary locations filled in` : '',
+        plan.completions.length ? `${plan.completions.length} boxes marked complete` : ''
+    ].filter(Boolean).join(' • ');
+    
+    const rows = plan.conflicts.map((conflict, i) => {
+        const what = conflict.type === 'qty' ? `${escapeHtml(conflict.name)} <span class="modal-muted">qty</span>` : '<span class="modal-muted">secondary location</span>';
+        return `<tr>
+            <td><strong>${escapeHtml(conflict.box)}</strong></td>
+            <td>${what}</td>
+            <td>${escapeHtml(String(conflict.ours))}</td>
+            <td>${escapeHtml(String(conflict.theirs))}</td>
+            <td>
+                <label><input type="radio" name="mergeChoice${i}" value="ours" checked> Keep</label>
+                <label><input type="radio" name="mergeChoice${i}" value="theirs"> Use incoming</label>
+            </td>
+        </tr>`;
+    }).join('');
+    const conflictTable = plan.conflicts.length === 0 ? '' : `
+        <table class="modal-table">
+            <thead><tr><th>Box</th><th>Conflict</th><th>This session</th><th>Incoming</th><th></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+    
+    return `
+        <div class="modal-summary">
+            ${plan.itemCount} items in file: ${newCount} new (${newBoxes} new boxes),
+            ${plan.duplicates} already recorded, ${plan.conflicts.length} conflicts${extras ? ` • ${extras}` : ''}
+            ${plan.removed ? ` • ${plan.removed} deleted in this session, left out` : ''}
+        </div>
+        ${conflictTable}
+        <p class="modal-muted" style="margin-top: 0.75rem;">
+            Items are matched by id, then by name within the same box. The merge is one change in History, so a single undo takes it back out.
+        </p>
+    `;
+}
+
+/**
+ * Commits a planned session merge as one batch.
+ * @param {SessionMergePlan} plan - From BoxData.planSessionMerge.
+ * @param {Array<'ours'|'theirs'>} choices - Resolution per plan.conflicts entry.
+ * @param {string} fileName - Shown in the History label.
+ */
+function applySessionMerge(plan, choices, fileName) {
+    const sessionBoxes = window.BoxData.currentSession.boxes;
+    const ops = [];
+    
+    for (const { box, items, boxMeta } of plan.additions) {
+        const startIndex = sessionBoxes[box] ? sessionBoxes[box].items.length : 0;
+        items.forEach((item, i) => {
+            ops.push({ type: 'addItem', box, item, index: startIndex + i, boxMeta: i === 0 ? boxMeta : null });
+        });
+    }
+    for (const { box, location } of plan.locations) {
+        ops.push({ type: 'setSecondaryLocation', box, before: sessionBoxes[box].secondaryLocation, after: location });
+    }
+    for (const { box, completedAt, completedBy } of plan.completions) {
+        const boxData = sessionBoxes[box];
+        ops.push({
+            type: 'toggleComplete',
+            box,
+            before: { completed: boxData.completed, completedAt: boxData.completedAt, completedBy: boxData.completedBy || null },
+            after: { completed: true, completedAt: completedAt || new Date().toISOString(), completedBy }
+        });
+    }
+    plan.conflicts.forEach((conflict, i) => {
+        if (choices[i] !== 'theirs') return;
+        if (conflict.type === 'qty') {
+            ops.push({ type: 'editItem', box: conflict.box, itemId: conflict.itemId, before: { qty: conflict.ours }, after: { qty: conflict.theirs } });
+        } else {
+            ops.push({ type: 'setSecondaryLocation', box: conflict.box, before: conflict.ours, after: conflict.theirs });
+        }
+    });
+    
+    if (ops.length > 0) commitOp({ type: 'batch', label: `Merged session ${fileName}`, ops });
+    saveToStorage();
+    updateDisplay();
+    return ops.length;
+}
+
+async function mergeSessionFromFile(event) {
+    const fileInput = event.target;
+    const file = fileInput.files[0];
+    if (!file) return;
+    
+    let plan;
+    let photos;
+    try {
+        const contents = await readSessionFile(file);
+        plan = window.BoxData.planSessionMerge(JSON.parse(contents.text));
+        photos = contents.photos;
+    } catch (error) {
+        console.error('Session merge error:', error);
+        alert('Error reading session file: ' + error.message);
+        return;
+    } finally {
+        fileInput.value = '';
+    }
+    
+    const bodyEl = openModal(`Merge ${file.name}`, renderSessionMergePreview(plan), [
+        { label: 'Cancel', onClick: closeModal },
+        {
+            label: 'Merge into session',
+            className: 'btn-primary',
+            onClick: async () => {
+                const choices = plan.conflicts.map((conflict, i) => {
+                    const checked = bodyEl.querySelector(`input[name="mergeChoice${i}"]:checked`);
+                    return checked ? checked.value : 'ours';
+                });
+                closeModal();
+                // Merged items and boxes keep their photo references, so their files come along first
+                const failed = await saveImportedPhotos(photos);
+                const changes = applySessionMerge(plan, choices, file.name);
+                const photoNote = failed ? `; ${failed} photo ${failed === 1 ? 'file' : 'files'} could not be saved` : '';
+                showToast((changes ? `Merged ${file.name}` : 'Nothing new to merge') + photoNote);
+            }
+        }
+    ]);
+}
+
+// --- Box Labels ---
+
+const LABEL_RANGE_LIMIT = 1000;
+
+function getBoxNumber(boxKey) {
+    return parseInt(boxKey.slice(3), 10) || 0;
+}
+
+/**
+ * Labels for every box in the session, or for a numbered range whether or not those boxes exist yet.
+ * @param {'all'|'range'} scope
+ * @param {string} [from] - Range start, e.g. "BOX001" or "1".
+ * @param {string} [to] - Range end (inclusive).
+ * @returns {Array<{key: string, secondaryLocation: string|null}>}
+ */
+function getLabelTargets(scope, from, to) {
+    const sessionBoxes = window.BoxData.currentSession.boxes;
+    let keys;
+    if (scope === 'range') {
+        const fromKey = normalizeBoxNumber(String(from || ''));
+        const toKey = normalizeBoxNumber(String(to || '')) || fromKey;
+        if (!isBoxLocation(fromKey) || !isBoxLocation(toKey)) {
+            throw new Error('Enter a box range such as BOX001 to BOX050');
+        }
+        const start = Math.min(getBoxNumber(fromKey), getBoxNumber(toKey));
+        const end = Math.max(getBoxNumber(fromKey), getBoxNumber(toKey));
+        if (end - start + 1 > LABEL_RANGE_LIMIT) {
+            throw new Error(`A range can print at most ${LABEL_RANGE_LIMIT} labels`);
+        }
+        keys = [];
+        for (let n = start; n <= end; n++) keys.push(normalizeBoxNumber(String(n)));
+    } else {
+        keys = Object.keys(sessionBoxes).filter(isBoxLocation).sort((a, b) => getBoxNumber(a) - getBoxNumber(b));
+    }
+    return keys.map(key => ({
+        key,
+        secondaryLocation: sessionBoxes[key] ? sessionBoxes[key].secondaryLocation : null
+    }));
+}
+
+// Prints from a hidden frame so the sheet's @page size applies instead of the app's layout
+function printLabelSheets(html) {
+    const frame = document.createElement('iframe');
+    frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+    frame.srcdoc = html;
+    frame.onload = () => {
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        setTimeout(() => frame.remove(), 1000);
+    };
+    document.body.appendChild(frame);
+}
+
+function openLabelDialog() {
+    const boxCount = Object.keys(window.BoxData.currentSession.boxes).filter(isBoxLocation).length;
+    const layouts = window.BoxLabels.LABEL_LAYOUTS;
+    const options = Object.entries(layouts).map(([id, layout]) =>
+        `<option value="${id}"${id === window.BoxLabels.DEFAULT_LABEL_LAYOUT ? ' selected' : ''}>${escapeHtml(layout.name)}</option>`
+    ).join('');
+    
+    const bodyEl = openModal('Print Box Labels', `
+        <div class="session-new-row">
+            <label><input type="radio" name="labelScope" value="all"${boxCount ? ' checked' : ''}> All boxes in session (${boxCount})</label>
+        </div>
+        <div class="session-new-row">
+            <label><input type="radio" name="labelScope" value="range"${boxCount ? '' : ' checked'}> Range</label>
+            <input type="text" id="labelFrom" class="search-input" placeholder="BOX001" autocomplete="off" spellcheck="false">
+            <input type="text" id="labelTo" class="search-input" placeholder="BOX050" autocomplete="off" spellcheck="false">
+        </div>
+        <div class="session-new-row">
+            <select id="labelLayout" class="operator-select">${options}</select>
+        </div>
+        <p class="modal-muted">Each label shows the box key and its shelf, with a QR code and a Code 128 barcode of the key. Scanning either one into the entry field opens that box.</p>
+    `, [
+        { label: 'Cancel', onClick: closeModal },
+        { label: 'Download', onClick: () => buildLabels(html => downloadFile(html, 'box-labels.html', 'text/html')) },
+        { label: 'Print', className: 'btn-primary', onClick: () => buildLabels(printLabelSheets) }
+    ]);
+    
+    // Typing a range selects it
+    bodyEl.addEventListener('input', (e) => {
+        if (e.target.id === 'labelFrom' || e.target.id === 'labelTo') {
+            bodyEl.querySelector('input[name="labelScope"][value="range"]').checked = true;
+        }
+    });
+    
+    function buildLabels(output) {
+        const scope = bodyEl.querySelector('input[name="labelScope"]:checked').value;
+        let labels;
+        try {
+            labels = getLabelTargets(scope, bodyEl.querySelector('#labelFrom').value, bodyEl.querySelector('#labelTo').value);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        if (labels.length === 0) {
+            alert('No boxes to label');
+            return;
+        }
+        output(window.BoxLabels.renderLabelSheets(labels, bodyEl.querySelector('#labelLayout').value));
+        closeModal();
+    }
+}
 
 // --- Stats & Display ---
 
+/**
+ * Items entered and boxes completed per operator. Each operator's rate runs from their first to
+ * their last entry, so operators taking turns at one station are not measured against each other's time.
+ * @returns {Array<{name: string, items: number, itemsPerMin: string, boxesCompleted: number}>}
+ */
+function calculateOperatorStats(sessionBoxes) {
+    const byOperator = new Map();
+    const entryFor = (name) => {
+        if (!byOperator.has(name)) {
+            byOperator.set(name, { name, items: 0, boxesCompleted: 0, first: Infinity, last: -Infinity });
+        }
+        return byOperator.get(name);
+    };
+    
+    for (const [boxKey, boxData] of Object.entries(sessionBoxes)) {
+        if (boxData.completed && boxData.completedBy && !isMissingLocation(boxKey)) {
+            entryFor(boxData.completedBy).boxesCompleted++;
+        }
+        for (const item of boxData.items || []) {
+            if (!item.enteredBy) continue;
+            const entry = entryFor(item.enteredBy);
+            const created = new Date((item.log && item.log[0] && item.log[0].at) || item.addedAt).getTime();
+            entry.items++;
+            if (!isNaN(created)) {
+                entry.first = Math.min(entry.first, created);
+                entry.last = Math.max(entry.last, created);
+            }
+        }
+    }
+    
+    return [...byOperator.values()]
+        .sort((a, b) => b.items - a.items)
+        .map(({ name, items, boxesCompleted, first, last }) => {
+            const minutes = Math.max((last - first) / (1000 * 60), 1);
+            return { name, items, boxesCompleted, itemsPerMin: items > 0 ? (items / minutes).toFixed(1) : '0' };
+        });
+}
+
 function calculateStats() {
-    const boxes = Object.values(window.BoxData.currentSession.boxes);
+    const sessionBoxes = window.BoxData.currentSession.boxes;
+    // MISSING is a location, not a box: its items count toward totals but not box stats
+    const missingItems = sessionBoxes[MISSING_LOCATION]?.items || [];
+    const allBoxes = Object.values(sessionBoxes);
+    const boxes = Object.entries(sessionBoxes).filter(([key]) => !isMissingLocation(key)).map(([, box]) => box);
     const boxesWithItems = boxes.filter(b => b.items && b.items.length > 0);
     const completedBoxes = boxes.filter(b => b.completed === true);
-    const totalItems = boxes.reduce((sum, b) => {
+    const totalItems = allBoxes.reduce((sum, b) => {
         if (!b.items) return sum;
         return sum + b.items.reduce((itemSum, item) => itemSum + (item.qty || 1), 0);
     }, 0);
-    const totalUniqueItems = boxes.reduce((sum, b) => sum + (b.items ? b.items.length : 0), 0);
+    const totalUniqueItems = allBoxes.reduce((sum, b) => sum + (b.items ? b.items.length : 0), 0);
+    // Estimated value (unit value × qty) of each location, MISSING included
+    const boxValues = {};
+    for (const [key, box] of Object.entries(sessionBoxes)) {
+        boxValues[key] = getItemsValue(box.items);
+    }
+    const totalValue = getItemsValue(allBoxes.flatMap(b => b.items || []));
+    const valuedItems = allBoxes.reduce((sum, b) => sum + (b.items || []).filter(item => Number.isFinite(item.value)).length, 0);
     
     const avgItemsPerBox = boxesWithItems.length > 0 
-        ? (totalUniqueItems / boxesWithItems.length).toFixed(1)
+        ? ((totalUniqueItems - missingItems.length) / boxesWithItems.length).toFixed(1)
         : '0';
     
     let duration = '';
@@ -621,11 +3674,18 @@ function calculateStats() {
     }
     
     return {
+        operators: calculateOperatorStats(sessionBoxes),
         boxesWithItems: boxesWithItems.length,
         completedBoxes: completedBoxes.length,
         totalItems: totalItems,
         totalUniqueItems: totalUniqueItems,
         avgItemsPerBox: avgItemsPerBox,
+        missingItems: missingItems.length,
+        missingQty: missingItems.reduce((sum, item) => sum + (item.qty || 1), 0),
+        missingValue: boxValues[MISSING_LOCATION] || 0,
+        boxValues: boxValues,
+        totalValue: totalValue,
+        valuedItems: valuedItems,
         duration: duration,
         itemsPerMin: itemsPerMin
     };
@@ -636,7 +3696,7 @@ function updateProgressBar() {
     if (!progressBarEl) return;
     const sessionBoxes = window.BoxData.currentSession.boxes;
     const keys = Object.keys(sessionBoxes || {});
-    const boxes = keys.filter(k => /^BOX\d+$/i.test(k));
+    const boxes = keys.filter(k => /^BOX\d+$/i.test(k) && (!tagFilter || boxHasTag(sessionBoxes[k], tagFilter)));
     
     // Grouping logic...
     const grouped = new Map();
@@ -683,7 +3743,8 @@ function updateProgressBar() {
             const numMatch = boxKey.match(/BOX0*(\d+)/i);
             const numDisplay = numMatch ? parseInt(numMatch[1], 10) : boxKey;
             const itemCount = hasItems ? boxData.items.length : 0;
-            const titleBox = `${boxKey}${hasItems ? `: ${itemCount} items` : ''}${isCompleted ? ' (Complete)' : ''}`;
+            const boxValue = hasItems ? getItemsValue(boxData.items) : 0;
+            const titleBox = `${boxKey}${hasItems ? `: ${itemCount} items` : ''}${boxValue > 0 ? `, ${formatItemValue(boxValue)}` : ''}${isCompleted ? ' (Complete)' : ''}`;
             const checkmark = isCompleted ? '✓' : '';
            
            // Use onclick calling global function
@@ -709,6 +3770,8 @@ function updateDisplay() {
             locationTypeEl.style.display = 'inline-block';
         }
         if (completionStatusEl && sessionBoxes[currentBox]?.completed) {
+            const completedBy = sessionBoxes[currentBox].completedBy;
+            completionStatusEl.textContent = completedBy ? `Completed • ${completedBy}` : 'Completed';
             completionStatusEl.style.display = 'inline-block';
         } else if (completionStatusEl) {
             completionStatusEl.style.display = 'none';
@@ -724,7 +3787,7 @@ function updateDisplay() {
     const secondaryLocationInput = document.getElementById('secondaryLocationInput');
     const secondaryLocationDisplay = document.getElementById('secondaryLocationDisplay');
     
-    if (currentBox && sessionBoxes[currentBox]) {
+    if (currentBox && sessionBoxes[currentBox] && !isMissingLocation(currentBox)) {
         const boxData = sessionBoxes[currentBox];
         const secondaryLoc = boxData.secondaryLocation || '';
         
@@ -748,7 +3811,8 @@ function updateDisplay() {
     const itemCountEl = document.getElementById('itemCount');
     if (currentBox && sessionBoxes[currentBox]) {
         const count = sessionBoxes[currentBox].items.length;
-        itemCountEl.textContent = `${count} ${count === 1 ? 'item' : 'items'}`;
+        const boxValue = getItemsValue(sessionBoxes[currentBox].items);
+        itemCountEl.textContent = `${count} ${count === 1 ? 'item' : 'items'}${boxValue > 0 ? ` • ${formatItemValue(boxValue)}` : ''}`;
     } else {
         itemCountEl.textContent = '0 items';
     }
@@ -757,14 +3821,15 @@ function updateDisplay() {
     const sessionInfoEl = document.getElementById('sessionInfo');
     if (sessionInfoEl && window.BoxData.currentSession.startedAt) {
         const start = new Date(window.BoxData.currentSession.startedAt);
-        sessionInfoEl.textContent = `Started: ${start.toLocaleDateString()} ${start.toLocaleTimeString()}`;
+        const name = window.BoxData.currentSession.name;
+        sessionInfoEl.textContent = `${name ? `${name} • ` : ''}Started: ${start.toLocaleDateString()} ${start.toLocaleTimeString()}`;
     }
     
     // Update stats
     const stats = calculateStats();
     const statsEl = document.getElementById('sessionStats');
     if (statsEl) {
-        statsEl.innerHTML = `${stats.boxesWithItems} boxes • ${stats.totalUniqueItems} items • ${stats.itemsPerMin}/min`;
+        statsEl.innerHTML = `${stats.boxesWithItems} boxes • ${stats.totalUniqueItems} items • ${stats.totalValue > 0 ? `${formatItemValue(stats.totalValue)} • ` : ''}${stats.missingItems ? `${stats.missingItems} missing • ` : ''}${stats.itemsPerMin}/min`;
     }
     
     const detailedStatsEl = document.getElementById('detailedStats');
@@ -772,9 +3837,15 @@ function updateDisplay() {
         detailedStatsEl.innerHTML = `
             <div style="margin-bottom: 0.75rem;"><span style="color: #aaa;">Completed:</span> <strong style="color: #aaffaa; font-size: 1.1rem;">${stats.completedBoxes}</strong> <span style="color: #999; font-size: 0.85rem;">boxes</span></div>
             <div style="margin-bottom: 0.75rem;"><span style="color: #aaa;">Total Items:</span> <strong style="color: #fff; font-size: 1.1rem;">${stats.totalUniqueItems}</strong> <span style="color: #999; font-size: 0.85rem;">(${stats.totalItems} qty)</span></div>
+            ${stats.valuedItems ? `<div style="margin-bottom: 0.75rem;"><span style="color: #aaa;">Est. Value:</span> <strong style="color: #aaffaa; font-size: 1.1rem;">${formatItemValue(stats.totalValue)}</strong> <span style="color: #999; font-size: 0.85rem;">(${stats.valuedItems} items valued${stats.missingValue ? `, ${formatItemValue(stats.missingValue)} missing` : ''})</span></div>` : ''}
+            ${stats.missingItems ? `<div style="margin-bottom: 0.75rem;"><span style="color: #aaa;">Missing:</span> <a href="#" class="missing-link" onclick="event.preventDefault(); openMissingPanel();"><strong style="color: #ff6b6b; font-size: 1.1rem;">${stats.missingItems}</strong></a> <span style="color: #999; font-size: 0.85rem;">(${stats.missingQty} qty)</span></div>` : ''}
             <div style="margin-bottom: 0.75rem;"><span style="color: #aaa;">Avg/Box:</span> <strong style="color: #4a9eff; font-size: 1.1rem;">${stats.avgItemsPerBox}</strong></div>
             <div style="margin-bottom: 0.75rem;"><span style="color: #aaa;">Rate:</span> <strong style="color: #ffaa44; font-size: 1.1rem;">${stats.itemsPerMin}</strong> <span style="color: #999; font-size: 0.85rem;">items/min</span></div>
             ${stats.duration ? `<div style="margin-top: 0.75rem; padding-top: 0.75rem; border-top: 1px solid #3a3a3a;"><span style="color: #aaa;">Duration:</span> <strong style="color: #bbb;">${stats.duration}</strong></div>` : ''}
+            ${stats.operators.length ? `<div class="operator-stats">
+                <div style="color: #aaa;">By operator:</div>
+                ${stats.operators.map(op => `<div><strong style="color: #fff;">${escapeHtml(op.name)}</strong> <span style="color: #999;">${op.items} items • ${op.itemsPerMin}/min • ${op.boxesCompleted} boxes</span></div>`).join('')}
+            </div>` : ''}
         `;
     }
     
@@ -796,23 +3867,67 @@ function updateDisplay() {
     }
     
     const items = sessionBoxes[currentBox]?.items || [];
+    const filterBar = tagFilter ? `
+        <div class="selection-bar">
+            <span>Showing items tagged <strong>${escapeHtml(tagFilter)}</strong></span>
+            <button class="btn-small" onclick="setTagFilter(null)">Show all</button>
+        </div>
+    ` : '';
+    // Box photos; images can also be dropped on the list or pasted
+    const photosEnabled = !!getPhotoStorage();
+    const boxPhotos = sessionBoxes[currentBox]?.photos || [];
+    const boxPhotosBar = photosEnabled && !isMissingLocation(currentBox) ? `
+        <div class="box-photos">
+            ${renderPhotoThumbs(currentBox, null, boxPhotos)}
+            <button class="btn-small" onclick="pickPhotos('${currentBox}', null)" title="Or drop/paste images here">+ Box photo</button>
+        </div>
+    ` : '';
     if (items.length === 0) {
-        itemsListEl.innerHTML = '<div class="empty-state">No items entered yet for this box</div>';
+        itemsListEl.innerHTML = filterBar + boxPhotosBar + '<div class="empty-state">No items entered yet for this box</div>';
+        loadPhotoThumbs(itemsListEl);
+        return;
+    }
+    
+    const shownItems = tagFilter ? items.filter(item => (item.tags || []).includes(tagFilter)) : items;
+    if (shownItems.length === 0) {
+        itemsListEl.innerHTML = filterBar + boxPhotosBar + '<div class="empty-state">No items with this tag in this box</div>';
+        loadPhotoThumbs(itemsListEl);
         return;
     }
+    const displayItems = [...shownItems].reverse().slice(0, 10);
     
-    const displayItems = [...items].reverse().slice(0, 10);
+    // Drop selections for items that were moved, deleted or undone
+    const itemIds = new Set(items.map(item => item.id));
+    selectedItemIds = new Set([...selectedItemIds].filter(id => itemIds.has(id)));
+    const selectionBar = selectedItemIds.size > 0 ? `
+        <div class="selection-bar">
+            <span>${selectedItemIds.size} selected • type <strong>&gt; BOX045</strong> to move</span>
+            <button class="btn-small btn-primary" onclick="splitSelectedItems()">Split into new box</button>
+            <button class="btn-small" onclick="openItemTagEditor('${currentBox}', [${[...selectedItemIds].join(', ')}])">Tags…</button>
+            <button class="btn-small" onclick="clearItemSelection()">Clear</button>
+        </div>
+    ` : '';
     
-    itemsListEl.innerHTML = displayItems.map(item => {
+    itemsListEl.innerHTML = filterBar + boxPhotosBar + selectionBar + displayItems.map(item => {
         const isEditing = editingItemId?.itemId === item.id;
+        const isEditingDetails = !isEditing && detailsItemId?.boxKey === currentBox && detailsItemId.itemId === item.id;
         const qty = item.qty || 1;
         const isDuplicate = item.isDuplicate;
         let itemClass = isEditing ? 'item-entry editing' : 'item-entry';
         if (isDuplicate) itemClass += ' duplicate';
+        if (isEditingDetails) itemClass += ' details-open';
         
-        // Show tags/notes if any
-        const tagsHtml = item.tags && item.tags.length > 0 
-            ? `<div style="font-size: 0.75rem; color: #4a9eff; margin-top: 0.2rem;">${item.tags.join(', ')}</div>` 
+        const tagsHtml = item.tags && item.tags.length > 0
+            ? `<div class="item-tags">${renderItemTags(item.tags)}</div>`
+            : '';
+        const photosHtml = item.photos && item.photos.length > 0
+            ? `<div class="item-photos">${renderPhotoThumbs(currentBox, item.id, item.photos)}</div>`
+            : '';
+        const enteredByHtml = item.enteredBy
+            ? `<div class="item-entered-by">by ${escapeHtml(item.enteredBy)}</div>`
+            : '';
+        const lastSeenHtml = isMissingLocation(currentBox) && item.lastSeen
+            ? `<div class="item-last-seen">Last seen in ${escapeHtml(formatLastSeen(item.lastSeen))}</div>`
             : '';
 
         return `
@@ -821,26 +3936,41 @@ function updateDisplay() {
                     <input 
                         type="text" 
                         class="item-edit-input" 
-                        value="${escapeHtml(item.name)}${qty > 1 ? ` x${qty}` : ''}"
+                        value="${escapeHtml(formatItemEntry(item))}"
                         data-item-id="${item.id}"
                         onkeydown="handleEditInputKeyDown(event, '${currentBox}', ${item.id})"
                     >
                 ` : `
+                    <input type="checkbox" class="item-select" title="Select to move or split" ${selectedItemIds.has(item.id) ? 'checked' : ''} onchange="toggleItemSelection(${item.id})">
                     <div style="flex: 1; min-width: 0;">
                         <div class="item-name">
                             ${escapeHtml(item.name)}
                             ${qty > 1 ? `<span class="item-quantity">×${qty}</span>` : ''}
                         </div>
+                        ${renderItemDetails(currentBox, item)}
                         ${tagsHtml}
+                        ${photosHtml}
+                        ${lastSeenHtml}
+                        ${enteredByHtml}
                     </div>
                     <div class="item-actions">
                         <button class="btn-small" onclick="startEditItem('${currentBox}', ${item.id})">Edit</button>
+                        <button class="btn-small" onclick="startMoveItem('${currentBox}', ${item.id})">Move</button>
+                        <button class="btn-small" onclick="toggleItemDetails('${currentBox}', ${item.id})">Details</button>
+                        <button class="btn-small" onclick="openItemTagEditor('${currentBox}', [${item.id}])">Tags</button>
+                        ${photosEnabled ? `<button class="btn-small" onclick="pickPhotos('${currentBox}', ${item.id})">Photo</button>` : ''}
+                        <button class="btn-small" onclick="openItemLog('${currentBox}', ${item.id})">Log</button>
+                        ${isMissingLocation(currentBox)
+                            ? '<button class="btn-small" onclick="openMissingPanel()">Found…</button>'
+                            : `<button class="btn-small" onclick="markItemMissing('${currentBox}', ${item.id})">Missing</button>`}
                         <button class="btn-small btn-delete" onclick="deleteItem('${currentBox}', ${item.id})">Delete</button>
                     </div>
+                    ${isEditingDetails ? renderItemDetailsEditor(currentBox, item) : ''}
                 `}
             </div>
         `;
     }).join('');
+    loadPhotoThumbs(itemsListEl);
 }
 
 
@@ -858,31 +3988,27 @@ function handleEditInputKeyDown(event, boxNumber, itemId) {
 
 // --- Initialization ---
 
-function init() {
-    loadSession();
+async function init() {
+    window.BoxCatalog.load();
+    await loadSession();
     if (!window.BoxData.currentSession.id) {
         startNewSession();
     }
     
-    // Initialize history
-    // Since history is in BoxData, we just ensure it's synced if needed
-    // But BoxData.history is global, so it stays across sessions for this instance
-    
-    // Restore currentBox
-    const boxes = Object.keys(window.BoxData.currentSession.boxes);
-    if (boxes.length > 0) {
-        // Find most recently modified or added? The original logic just picked last key
-        // We'll trust the order
-        currentBox = boxes[boxes.length - 1];
-        addRecentLocation(currentBox);
-    }
-    
+    restoreCurrentBox();
+    loadOperators();
+    loadSkuTable();
+    loadTagRegistry();
+    renderOperatorSelect();
     updateDisplay();
     focusInput();
     
     // Listeners
     document.getElementById('itemInput').addEventListener('keydown', handleInputKeyDown);
+    document.getElementById('itemInput').addEventListener('input', updateItemSuggestions);
+    document.getElementById('itemSuggestions').addEventListener('mousedown', handleSuggestionMouseDown);
     document.getElementById('itemInput').addEventListener('blur', function() {
+        hideItemSuggestions();
         setTimeout(() => {
             const active = document.activeElement;
             if (!active || active.id === 'itemInput') {
@@ -907,7 +4033,44 @@ function init() {
     }
     
     document.getElementById('exportBtn').addEventListener('click', exportCSV);
+    document.getElementById('exportJsonBtn').addEventListener('click', exportSessionJSON);
+    document.getElementById('labelsBtn').addEventListener('click', openLabelDialog);
+    document.getElementById('skusBtn').addEventListener('click', openSkuEditor);
+    document.getElementById('catalogBtn').addEventListener('click', () => openCatalogEditor());
+    document.getElementById('tagsBtn').addEventListener('click', openTagManager);
+    document.getElementById('itemsList').addEventListener('click', (e) => {
+        const tagBtn = e.target.closest('[data-tag-filter]');
+        if (tagBtn) setTagFilter(tagBtn.dataset.tagFilter);
+    });
+    document.getElementById('historyBtn').addEventListener('click', openHistoryPanel);
+    document.getElementById('photoFile').addEventListener('change', handlePhotoFileChange);
+    document.addEventListener('dragover', handlePhotoDragOver);
+    document.addEventListener('dragleave', handlePhotoDragLeave);
+    document.addEventListener('drop', handlePhotoDrop);
+    document.addEventListener('paste', handlePhotoPaste);
+    document.getElementById('operatorSelect').addEventListener('change', handleOperatorSelectChange);
+    document.addEventListener('keydown', handleScannerKeyDown, true);
     document.addEventListener('keydown', handleGlobalKeyDown);
+    document.getElementById('modalClose').addEventListener('click', closeModal);
+    document.getElementById('modalOverlay').addEventListener('click', (e) => {
+        if (e.target.id === 'modalOverlay') closeModal();
+    });
+    
+    // Session library (storage backends that hold more than one session)
+    const sessionsBtn = document.getElementById('sessionsBtn');
+    if (sessionsBtn && window.BoxData.getStorage().supportsLibrary) {
+        sessionsBtn.style.display = '';
+        sessionsBtn.addEventListener('click', openSessionManager);
+    }
+    indexLibraryInCatalog();
+    
+    updateStorageUsage(true);
+    
+    // Mobile remote (Electron only)
+    if (window.electronAPI && window.electronAPI.onRemoteRequest) {
+        window.electronAPI.onRemoteRequest(handleRemoteRequest);
+        showRemoteInfo();
+    }
     
     // Auto Save
     setInterval(autoSave, window.CONFIG?.AUTO_SAVE_INTERVAL_MS || 2000);
@@ -937,7 +4100,21 @@ window.deleteItem = deleteItem;
 window.handleEditInputKeyDown = handleEditInputKeyDown;
 window.switchBox = switchBox;
 window.toggleBoxComplete = toggleBoxComplete;
+window.toggleItemSelection = toggleItemSelection;
+window.clearItemSelection = clearItemSelection;
+window.startMoveItem = startMoveItem;
+window.openItemTagEditor = openItemTagEditor;
+window.setTagFilter = setTagFilter;
+window.splitSelectedItems = splitSelectedItems;
+window.markItemMissing = markItemMissing;
+window.openMissingPanel = openMissingPanel;
+window.openItemLog = openItemLog;
+// For Voice Command integration ("operator Sam")
+window.setOperator = setOperator;
+window.getOperator = getOperator;
 window.importFromCSV = importFromCSV;
+window.mergeSessionFromFile = mergeSessionFromFile;
+window.importSessionFromJSON = importSessionFromJSON;
 // For Voice Command integration
 window.refreshUI = updateDisplay;
 
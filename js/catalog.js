@@ -0,0 +1,264 @@
+/**
+ * Item Catalog Module
+ * Every item name entered at this station, ranked by how often and how recently it was used.
+ * Variant spellings can be folded into one canonical name, which new entries are stored under.
+ * Kept in localStorage, not in the session, so it carries over from one audit to the next.
+ */
+
+const CATALOG_STORAGE_KEY = 'boxAuditCatalog';
+// A name's use count loses half its weight every two weeks
+const CATALOG_RECENCY_HALF_LIFE_DAYS = 14;
+const CATALOG_DAY_MS = 24 * 60 * 60 * 1000;
+
+class ItemCatalog {
+    constructor() {
+        this.entries = [];
+        this.indexedSessions = new Set(); // Sessions whose items are already counted
+        this.byKey = new Map(); // Lowercased name or variant -> entry
+        this.words = new TokenIndex(); // Words of names and variants -> entries, for suggestions
+    }
+
+    static key(name) {
+        return getNameKey(name);
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CATALOG_STORAGE_KEY) || 'null');
+            if (saved && Array.isArray(saved.entries)) {
+                this.entries = saved.entries
+                    .filter(entry => entry && typeof entry.name === 'string' && entry.name.trim())
+                    .map(entry => ({
+                        name: entry.name.trim(),
+                        variants: Array.isArray(entry.variants) ? entry.variants.filter(v => typeof v === 'string') : [],
+                        tags: Array.isArray(entry.tags) ? entry.tags.filter(t => typeof t === 'string') : [],
+                        count: Number(entry.count) || 0,
+                        lastUsed: entry.lastUsed || null
+                    }));
+                this.indexedSessions = new Set(Array.isArray(saved.indexedSessions) ? saved.indexedSessions : []);
+            }
+        } catch (e) {
+            console.warn('Could not read item catalog:', e);
+        }
+        this.reindex();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(CATALOG_STORAGE_KEY, JSON.stringify({
+                entries: this.entries,
+                indexedSessions: [...this.indexedSessions]
+            }));
+        } catch (e) {
+            console.warn('Could not save item catalog:', e);
+        }
+    }
+
+    reindex() {
+        this.byKey = new Map();
+        this.words = new TokenIndex();
+        for (const entry of this.entries) {
+            for (const name of [entry.name, ...entry.variants]) {
+                this.byKey.set(ItemCatalog.key(name), entry);
+            }
+            this.words.add(entry, [entry.name, ...entry.variants]);
+        }
+    }
+
+    /**
+     * @param {string} name - Canonical name or any variant, in any case.
+     * @returns {CatalogEntry|null}
+     */
+    find(name) {
+        return this.byKey.get(ItemCatalog.key(name)) || null;
+    }
+
+    /**
+     * The name an item should be stored under: the canonical name when the catalog knows it.
+     * @param {string} name
+     * @returns {string}
+     */
+    resolve(name) {
+        const entry = this.find(name);
+        return entry ? entry.name : String(name || '').trim();
+    }
+
+    // Names that resolve to the same entry compare equal, so variants count as duplicates
+    nameKey(name) {
+        return ItemCatalog.key(this.resolve(name));
+    }
+
+    /**
+     * Counts one use of a name, creating its entry if needed. Does not save.
+     * @param {string} name
+     * @param {string} [at] - ISO Date string; defaults to now.
+     */
+    record(name, at) {
+        const clean = String(name || '').trim().replace(/\s+/g, ' ');
+        if (!clean) return;
+        const usedAt = at || new Date().toISOString();
+        let entry = this.find(clean);
+        if (!entry) {
+            entry = { name: clean, variants: [], tags: [], count: 0, lastUsed: null };
+            this.entries.push(entry);
+            this.byKey.set(ItemCatalog.key(clean), entry);
+            this.words.add(entry, [clean]);
+        }
+        entry.count++;
+        if (!entry.lastUsed || usedAt > entry.lastUsed) entry.lastUsed = usedAt;
+    }
+
+    /**
+     * Counts the items of a session once; later calls for the same session do nothing.
+     * Items added afterwards are counted as they are entered.
+     * @param {Session} session
+     * @returns {boolean} True if the session was counted now.
+     */
+    indexSession(session) {
+        if (!session || !session.id || this.indexedSessions.has(session.id)) return false;
+        for (const box of Object.values(session.boxes || {})) {
+            for (const item of (box && box.items) || []) {
+                this.record(item.name, item.addedAt);
+            }
+        }
+        this.indexedSessions.add(session.id);
+        this.save();
+        return true;
+    }
+
+    getScore(entry, now = Date.now()) {
+        const usedAt = entry.lastUsed ? Date.parse(entry.lastUsed) : NaN;
+        const ageDays = Number.isNaN(usedAt) ? Infinity : Math.max(0, now - usedAt) / CATALOG_DAY_MS;
+        return entry.count * Math.pow(0.5, ageDays / CATALOG_RECENCY_HALF_LIFE_DAYS);
+    }
+
+    /**
+     * Entries whose name or a variant matches the text: names starting with it first, then names
+     * with a word starting with it, then names containing it; ties go to frequent, recent names.
+     * @param {string} text
+     * @param {number} [limit]
+     * @returns {CatalogEntry[]}
+     */
+    suggest(text, limit = 8) {
+        const query = ItemCatalog.key(text);
+        if (!query) return [];
+        const now = Date.now();
+        const matches = [];
+        for (const entry of this.words.lookup(query) || this.entries) {
+            // Typing the full canonical name leaves nothing to complete
+            if (entry.name === String(text).trim()) continue;
+            let rank = Infinity;
+            for (const name of [entry.name, ...entry.variants]) {
+                const key = ItemCatalog.key(name);
+                if (key.startsWith(query)) rank = Math.min(rank, 0);
+                else if (key.split(/[\s\-\/(]+/).some(word => word.startsWith(query))) rank = Math.min(rank, 1);
+                else if (key.includes(query)) rank = Math.min(rank, 2);
+            }
+            if (rank !== Infinity) matches.push({ entry, rank, score: this.getScore(entry, now) });
+        }
+        return matches
+            .sort((a, b) => a.rank - b.rank || b.score - a.score || a.entry.name.localeCompare(b.entry.name))
+            .slice(0, limit)
+            .map(match => match.entry);
+    }
+
+    /**
+     * Entries for the catalog editor, most used first.
+     * @returns {CatalogEntry[]}
+     */
+    list() {
+        const now = Date.now();
+        return [...this.entries].sort((a, b) => this.getScore(b, now) - this.getScore(a, now) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Folds other entries into one: their names become its variants, and counts and tags are combined.
+     * @param {string} targetName - Entry that keeps its canonical name.
+     * @param {string[]} names - Entries merged into it.
+     * @returns {CatalogEntry|null} The merged entry.
+     */
+    merge(targetName, names) {
+        const target = this.find(targetName);
+        if (!target) return null;
+        for (const name of names) {
+            const entry = this.find(name);
+            if (!entry || entry === target) continue;
+            target.variants.push(entry.name, ...entry.variants);
+            target.tags = [...new Set([...target.tags, ...entry.tags])];
+            target.count += entry.count;
+            if (entry.lastUsed && (!target.lastUsed || entry.lastUsed > target.lastUsed)) target.lastUsed = entry.lastUsed;
+            this.entries.splice(this.entries.indexOf(entry), 1);
+        }
+        target.variants = this.uniqueVariants(target);
+        this.reindex();
+        this.save();
+        return target;
+    }
+
+    /**
+     * Sets an entry's canonical name; the old name is kept as a variant. Renaming to another
+     * entry's name merges the two.
+     * @returns {CatalogEntry|null}
+     */
+    rename(oldName, newName) {
+        const entry = this.find(oldName);
+        const clean = String(newName || '').trim().replace(/\s+/g, ' ');
+        if (!entry || !clean || clean === entry.name) return entry;
+
+        const existing = this.find(clean);
+        if (existing && existing !== entry) return this.merge(existing.name, [entry.name]);
+
+        entry.variants.push(entry.name);
+        entry.name = clean;
+        entry.variants = this.uniqueVariants(entry);
+        this.reindex();
+        this.save();
+        return entry;
+    }
+
+    // Variant spellings other than the canonical name, one per case-insensitive spelling
+    uniqueVariants(entry) {
+        const seen = new Set([ItemCatalog.key(entry.name)]);
+        return entry.variants.filter(variant => {
+            const key = ItemCatalog.key(variant);
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    // Splits a variant back out into an entry of its own
+    removeVariant(name, variant) {
+        const entry = this.find(name);
+        if (!entry) return;
+        const key = ItemCatalog.key(variant);
+        const variants = entry.variants.filter(v => ItemCatalog.key(v) !== key);
+        if (variants.length === entry.variants.length) return; // Not a variant of this entry
+        entry.variants = variants;
+        this.entries.push({ name: variant, variants: [], tags: [], count: 0, lastUsed: null });
+        this.reindex();
+        this.save();
+    }
+
+    /**
+     * Tags added to every new item entered under this name.
+     * @param {string} name
+     * @param {string[]} tags
+     */
+    setTags(name, tags) {
+        const entry = this.find(name);
+        if (!entry) return;
+        entry.tags = [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+        this.save();
+    }
+
+    remove(name) {
+        const entry = this.find(name);
+        if (!entry) return;
+        this.entries.splice(this.entries.indexOf(entry), 1);
+        this.reindex();
+        this.save();
+    }
+}
+
+window.BoxCatalog = new ItemCatalog();
@@ -10,10 +10,13 @@ let currentSession = {
     boxes: {}
 };
 
-let history = [];
-let historyIndex = -1;
-let saveInProgress = false;
-let savePending = false;
+// Item index for search, autocomplete and duplicate checks (js/search.js), rebuilt whenever a
+// session is loaded and updated box by box as ops are applied
+const searchIndex = new SessionSearchIndex();
+
+let storage = null;
+let saveChain = Promise.resolve(true);
+let saveQueued = false;
 let autoSaveInterval = null;
 
 // --- Data Shape & Normalization ---
@@ -51,11 +54,20 @@ function ensureBoxExists(boxKey) {
     if (!existing) {
         const created = createEmptyBoxData();
         currentSession.boxes[boxKey] = created;
+        searchIndex.updateBoxes(currentSession, [boxKey]); // Searchable as a location while still empty
         return created;
     }
     return ensureBoxDataShape(existing);
 }
 
+// Reserved location for items that could not be found where they were recorded.
+// The mobile client relies on this exact key (it lists and resolves MISSING items).
+const MISSING_LOCATION = 'MISSING';
+
+function isMissingLocation(value) {
+    return value === MISSING_LOCATION;
+}
+
 // Normalize box/shelf number to consistent format
 /**
  * Normalizes user input into a standard box or shelf key.
@@ -67,6 +79,8 @@ function normalizeBoxNumber(boxNumber) {
     
     const upper = boxNumber.toUpperCase().trim();
     
+    if (upper === MISSING_LOCATION) return MISSING_LOCATION;
+    
     // Handle SHELF patterns: SHELF 2C, SHELF 1A, SHELF XY, etc.
     const shelfMatch = upper.match(/^SHELF\s*(\d+)([A-Za-z]*)$/i);
     if (shelfMatch) {
@@ -126,6 +140,9 @@ function parseLocationInput(raw) {
     if (!raw) return null;
     const trimmed = raw.trim();
     if (!trimmed) return null;
+    if (trimmed.toUpperCase() === MISSING_LOCATION) {
+        return { primary: MISSING_LOCATION, secondary: null };
+    }
 
     const shelfMatch = trimmed.match(/SHELF\s*\d+[A-Za-z]*|S\s*\d+[A-Za-z]*/i);
     const shelf = shelfMatch ? normalizeShelfLocation(shelfMatch[0]) : null;
@@ -154,6 +171,45 @@ function parseLocationInput(raw) {
     return null;
 }
 
+/**
+ * Parses the item-input commands that move items or merge boxes:
+ *   "> BOX045"                  move the selected (or last entered) items
+ *   "lamp > BOX045"             move the named item out of the current box
+ *   "merge BOX012 into BOX013"  move everything, combining same-named items ("merge into BOX013" = current box)
+ * @param {string} raw
+ * @returns {{type: 'move', itemName: string|null, target: string|null}|{type: 'merge', source: string|null, target: string|null}|null}
+ *          null when the input is not a move/merge command; target/source null when they are not a BOX or SHELF
+ *          (for "item > target" the input is only a move when the target starts with BOX, B, SHELF, S or is MISSING).
+ */
+function parseMoveInput(raw) {
+    const trimmed = (raw || '').trim();
+    const toLocation = (value) => {
+        const parsed = parseLocationInput(value);
+        return parsed ? parsed.primary : null;
+    };
+    
+    const mergeMatch = trimmed.match(/^merge\s+(?:(.+?)\s+)?into\s+(.+)$/i);
+    if (mergeMatch) {
+        const source = mergeMatch[1] ? toLocation(mergeMatch[1]) : null;
+        if (!mergeMatch[1] || source) {
+            return { type: 'merge', source, target: toLocation(mergeMatch[2]) };
+        }
+    }
+    
+    // Split at the last ">" so item names may contain one. With an item name the input is only a move
+    // when the target names its kind of location, otherwise it is an item like "cables > 2m" or "screws > 10"
+    const moveMatch = trimmed.match(/^(.*)>\s*(.+)$/);
+    if (moveMatch) {
+        const itemName = moveMatch[1].trim() || null;
+        const target = toLocation(moveMatch[2]);
+        const namesLocation = /^(?:BOX|B|SHELF|S)\s*\d|^MISSING$/i.test(moveMatch[2].trim());
+        if (!itemName || (target && namesLocation)) {
+            return { type: 'move', itemName, target };
+        }
+    }
+    return null;
+}
+
 const WORD_TO_NUM = {
     'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5,
     'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10,
@@ -162,6 +218,17 @@ const WORD_TO_NUM = {
     'a dozen': 12, 'dozen': 12, 'couple': 2, 'pair': 2
 };
 
+/**
+ * Formats an item's lastSeen for display and CSV export (e.g., "BOX012 SHELF 2C").
+ * The format reads back through parseLocationInput on import.
+ * @param {LastSeen|null|undefined} lastSeen
+ * @returns {string}
+ */
+function formatLastSeen(lastSeen) {
+    if (!lastSeen || !lastSeen.box) return '';
+    return lastSeen.secondaryLocation ? `${lastSeen.box} ${lastSeen.secondaryLocation}` : lastSeen.box;
+}
+
 // Parse quantity from item name (e.g., "batteries x3", "5 widgets", "five cables")
 function parseQuantity(itemName) {
     if (!itemName) return { name: itemName, qty: 1 };
@@ -214,8 +281,150 @@ function parseQuantity(itemName) {
     return { name: name || itemName, qty: qty || 1 };
 }
 
-function normalizeItemQuantities() {
-    for (const [boxKey, boxData] of Object.entries(currentSession.boxes)) {
+// --- Item Details ---
+
+const ITEM_CONDITIONS = ['new', 'good', 'fair', 'damaged'];
+const ITEM_DETAIL_FIELDS = ['condition', 'value', 'sku', 'note'];
+
+/**
+ * Condition from its name or any unambiguous start of it (e.g., "dam", "f").
+ * @param {string} text
+ * @returns {string|null}
+ */
+function parseItemCondition(text) {
+    const key = String(text || '').trim().toLowerCase();
+    if (!key) return null;
+    const matches = ITEM_CONDITIONS.filter(condition => condition.startsWith(key));
+    return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Unit value from "15", "15.50", "$1,200". Returns null for blank or unreadable text.
+ * @param {string|number} text
+ * @returns {number|null}
+ */
+function parseItemValue(text) {
+    const clean = String(text ?? '').trim().replace(/^\$/, '').replace(/,(?=\d{3}\b)/g, '');
+    if (!/^\d+(\.\d{1,2})?$/.test(clean)) return null;
+    return parseFloat(clean);
+}
+
+function formatItemValue(value) {
+    return `$${Number(value).toLocaleString('en-US', {
+        minimumFractionDigits: Number.isInteger(value) ? 0 : 2,
+        maximumFractionDigits: 2
+    })}`;
+}
+
+/**
+ * The condition, unit value, SKU and note of an item or entry, with blanks and unknown
+ * conditions as null.
+ * @param {Object} [source]
+ * @returns {{condition: string|null, value: number|null, sku: string|null, note: string|null}}
+ */
+function getItemDetails(source = {}) {
+    const text = (value) => (value == null ? '' : String(value).trim()) || null;
+    return {
+        condition: ITEM_CONDITIONS.includes(source.condition) ? source.condition : null,
+        value: Number.isFinite(source.value) && source.value >= 0 ? source.value : null,
+        sku: text(source.sku)?.replace(/\s+/g, '') || null, // Codes never contain spaces
+        note: text(source.note)
+    };
+}
+
+// Unit value × quantity over a list of items, rounded to cents
+function getItemsValue(items) {
+    const total = (items || []).reduce((sum, item) => sum + (Number.isFinite(item.value) ? item.value * (item.qty || 1) : 0), 0);
+    return Math.round(total * 100) / 100;
+}
+
+// Entry tokens that read as shorthand: "$15", "@fair", "sku:0123", "x2", "(2)"
+const ENTRY_SHORTHAND_PATTERN = /^(?:\$|@|(?:sku|upc):|[xX]\d+$|\(\d+\)$)/i;
+const ENTRY_QUANTITY_PATTERN = /^(?:[xX](\d+)|\((\d+)\))$/;
+
+/**
+ * Parses an item entry with its quantity and detail shorthand, e.g. "lamp x2 $15 @fair sku:0123 // chipped base":
+ * "$15" is the unit value, "@fair" the condition, "sku:"/"upc:" the product code, and text after " // " a note.
+ * Tokens that do not read as details stay in the name. A backslash keeps a token literal ("\$5 bill"),
+ * and one at the start of the name also stops a leading number or word being read as the quantity.
+ * @param {string} text
+ * @returns {{name: string, qty: number, condition: string|null, value: number|null, sku: string|null, note: string|null}}
+ */
+function parseItemEntry(text) {
+    const entry = { ...parseQuantity(text), ...getItemDetails() };
+    if (!text) return entry;
+    
+    let rest = String(text).trim();
+    const noteMatch = rest.match(/\s\/\/\s*(.*)$/);
+    if (noteMatch) {
+        entry.note = noteMatch[1].trim() || null;
+        rest = rest.slice(0, noteMatch.index);
+    }
+    
+    const tokens = rest.split(/\s+/).filter(Boolean);
+    // A quantity is read among the trailing shorthand, even where a token there is unreadable ("lamp x2 $15.999")
+    let tail = tokens.length;
+    while (tail > 1 && ENTRY_SHORTHAND_PATTERN.test(tokens[tail - 1])) tail--;
+    
+    const kept = [];
+    let literalStart = false;
+    let qty = null;
+    tokens.forEach((token, index) => {
+        if (token.startsWith('\\') && token.length > 1) {
+            if (kept.length === 0) literalStart = true;
+            kept.push(token.slice(1));
+            return;
+        }
+        const skuMatch = token.match(/^(?:sku|upc):(.+)$/i);
+        const condition = token.startsWith('@') ? parseItemCondition(token.slice(1)) : null;
+        const value = token.startsWith('$') ? parseItemValue(token) : null;
+        const qtyMatch = index >= tail && kept.length > 0 ? token.match(ENTRY_QUANTITY_PATTERN) : null;
+        if (skuMatch) entry.sku = skuMatch[1];
+        else if (condition) entry.condition = condition;
+        else if (value !== null) entry.value = value;
+        else if (qtyMatch && qty === null) qty = parseInt(qtyMatch[1] || qtyMatch[2], 10) || 1;
+        else kept.push(token);
+    });
+    // Nothing left for a name: the text is the name after all
+    if (kept.length === 0) return { ...parseQuantity(text), ...getItemDetails() };
+    
+    const name = kept.join(' ');
+    if (qty !== null || literalStart) return { ...entry, name, qty: qty || 1 };
+    return { ...entry, ...parseQuantity(name) };
+}
+
+// Backslash-escapes the name tokens parseItemEntry would otherwise read as shorthand, a note or the quantity
+function escapeEntryName(name) {
+    const tokens = String(name || '').trim().split(/\s+/).filter(Boolean);
+    const escaped = tokens.map(token =>
+        ENTRY_SHORTHAND_PATTERN.test(token) || token.startsWith('//') || token.startsWith('\\') ? `\\${token}` : token
+    );
+    const readsAsQuantity = parseQuantity(tokens.join(' ')).name !== tokens.join(' ');
+    if (readsAsQuantity && escaped.length > 0 && !escaped[0].startsWith('\\')) {
+        escaped[0] = `\\${escaped[0]}`;
+    }
+    return escaped.join(' ');
+}
+
+/**
+ * Formats an item back into entry text that parseItemEntry reads, for editing in the input.
+ * @param {Item} item
+ * @returns {string}
+ */
+function formatItemEntry(item) {
+    const details = getItemDetails(item);
+    return [
+        escapeEntryName(item.name),
+        (item.qty || 1) > 1 ? `x${item.qty}` : '',
+        details.value !== null ? `$${details.value}` : '',
+        details.condition ? `@${details.condition}` : '',
+        details.sku ? `sku:${details.sku}` : '',
+        details.note ? `// ${details.note}` : ''
+    ].filter(Boolean).join(' ');
+}
+
+function normalizeItemQuantities(session = currentSession) {
+    for (const [boxKey, boxData] of Object.entries(session.boxes)) {
         if (!boxData.items) continue;
         
         for (const item of boxData.items) {
@@ -233,19 +442,24 @@ function normalizeItemQuantities() {
     }
 }
 
-function normalizeSessionBoxes() {
+/**
+ * Re-keys boxes with normalizeBoxNumber, merging any boxes that collapse onto the same key.
+ * @param {Session} [session] - Defaults to the current session.
+ */
+function normalizeSessionBoxes(session = currentSession) {
     const normalizedBoxes = {};
     
-    for (const [boxKey, boxData] of Object.entries(currentSession.boxes)) {
+    for (const [boxKey, boxData] of Object.entries(session.boxes)) {
         const normalizedKey = normalizeBoxNumber(boxKey);
         const safeBoxData = ensureBoxDataShape(boxData);
         
         if (normalizedBoxes[normalizedKey]) {
             ensureBoxDataShape(normalizedBoxes[normalizedKey]);
-            // Merge items if box already exists
+            // Merge items if box already exists; an item stored under both keys is kept once
+            const seenIds = new Set(normalizedBoxes[normalizedKey].items.map(item => item.id));
             normalizedBoxes[normalizedKey].items = [
                 ...normalizedBoxes[normalizedKey].items,
-                ...safeBoxData.items
+                ...safeBoxData.items.filter(item => !seenIds.has(item.id))
             ];
             // Preserve completed status if either was completed
             if (safeBoxData.completed || normalizedBoxes[normalizedKey].completed) {
@@ -266,23 +480,28 @@ function normalizeSessionBoxes() {
         }
     }
     
-    currentSession.boxes = normalizedBoxes;
-    normalizeItemQuantities();
+    session.boxes = normalizedBoxes;
+    normalizeItemQuantities(session);
     
     // Update currentBox if it exists (global variable assumed to be managed by app.js)
     // Note: We perform this normalization but updating the active UI state 'currentBox' happens in app.js
 }
 
-function markExistingBoxesAsCompleted() {
-    const migrationKey = 'boxAudit_completedMigration_v1';
-    const migrationDone = localStorage.getItem(migrationKey);
-    
-    if (migrationDone === 'true') return;
-    
+// Older builds ran markExistingBoxesAsCompleted once per machine and then set this flag
+const LEGACY_COMPLETED_MIGRATION_KEY = 'boxAudit_completedMigration_v1';
+
+// An unversioned session on a machine that already ran the flag-based version is live audit
+// data whose open boxes were left open on purpose
+function hasRunLegacyCompletedMigration(session, fromVersion) {
+    return !fromVersion && localStorage.getItem(LEGACY_COMPLETED_MIGRATION_KEY) === 'true';
+}
+
+// Runs once per session through MIGRATIONS; session.migrations records that it ran
+function markExistingBoxesAsCompleted(session = currentSession) {
     let markedCount = 0;
     const now = new Date().toISOString();
     
-    for (const [boxKey, boxData] of Object.entries(currentSession.boxes)) {
+    for (const [boxKey, boxData] of Object.entries(session.boxes)) {
         if (boxData.items && boxData.items.length > 0 && !boxData.completed) {
             boxData.completed = true;
             boxData.completedAt = boxData.completedAt || now;
@@ -291,70 +510,384 @@ function markExistingBoxesAsCompleted() {
     }
     
     if (markedCount > 0) {
-        localStorage.setItem(migrationKey, 'true');
-        saveToStorage();
         console.log(`Marked ${markedCount} existing boxes as completed`);
-    } else {
-        localStorage.setItem(migrationKey, 'true');
     }
 }
 
 
-// --- Persistence ---
+// --- Schema Migrations ---
 
-function startNewSession() {
-    const now = new Date();
-    currentSession = {
-        id: `session-${now.toISOString().replace(/[:.]/g, '-')}`,
-        startedAt: now.toISOString(),
-        boxes: {}
-    };
-    saveToStorage();
+/**
+ * Ordered session data migrations. Each runs at most once per session; applied ids are
+ * recorded in the session itself so a file migrates the same way on every machine.
+ * Append new entries with the next version number - never reorder or change shipped ones.
+ * A migration whose skip returns true (given the session and its schema version before this load)
+ * is recorded as applied without running.
+ * @type {Array<{version: number, id: string, run: function(Session): void, skip?: function(Session, number): boolean}>}
+ */
+const MIGRATIONS = [
+    { version: 1, id: 'normalize-boxes', run: (session) => normalizeSessionBoxes(session) },
+    { version: 2, id: 'mark-existing-boxes-completed', run: markExistingBoxesAsCompleted, skip: hasRunLegacyCompletedMigration },
+    { version: 3, id: 'start-item-logs', run: (session) => ensureItemLogs(session) }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Lists migrations that have not yet been applied to a session.
+ * @param {Session} session
+ * @returns {Array} Pending migrations in order.
+ */
+function getPendingMigrations(session) {
+    const applied = new Set((session.migrations || []).map(m => m.id));
+    const fromVersion = session.schemaVersion || 0;
+    return MIGRATIONS.filter(m => m.version > fromVersion && !applied.has(m.id));
+}
+
+/**
+ * Runs pending migrations in order and records them in session.migrations / schemaVersion.
+ * @param {Session} session
+ * @returns {string[]} Ids of the migrations recorded, skipped ones included.
+ */
+function runMigrations(session) {
+    const pending = getPendingMigrations(session);
+    const fromVersion = session.schemaVersion || 0;
+    if (!Array.isArray(session.migrations)) session.migrations = [];
+    
+    for (const migration of pending) {
+        const skipped = !!migration.skip && migration.skip(session, fromVersion);
+        if (!skipped) migration.run(session);
+        session.migrations.push({
+            id: migration.id,
+            version: migration.version,
+            ranAt: new Date().toISOString(),
+            ...(skipped ? { skipped: true } : {})
+        });
+        session.schemaVersion = Math.max(session.schemaVersion || 0, migration.version);
+        console.log(`✓ Migration ${migration.version} (${migration.id}) ${skipped ? 'skipped' : 'applied'}`);
+    }
+    return pending.map(m => m.id);
 }
 
-function loadSession() {
+/**
+ * Keeps an untouched copy of a session before migrations change it. The user is warned when the
+ * copy cannot be written, since the migration then runs without one.
+ * @param {Session} session - The session as loaded, before migration.
+ */
+async function backupBeforeMigration(session) {
+    const storage = getStorage();
+    if (!storage.backup) return;
     try {
-        let data = null;
-        
-        // Try Electron
-        if (window.electronAPI && window.electronAPI.loadData) {
-            const fileData = window.electronAPI.loadData();
-            if (fileData) {
-                data = fileData;
-                console.log('✓ Loaded from Electron file system');
+        await storage.backup(session);
+    } catch (e) {
+        console.warn('Pre-migration backup failed:', e);
+        if (window.showSaveError) {
+            window.showSaveError(`Could not back up the session before updating its data format (${e.message}); the update ran without a backup.`);
+        }
+    }
+}
+
+// --- CSV Import ---
+
+const CSV_COLUMNS = {
+    name: 'item name',
+    box: 'box',
+    qty: 'qty',
+    secondary: 'secondary location',
+    notes: 'notes',
+    tags: 'tags',
+    condition: 'condition',
+    value: 'unit value',
+    sku: 'sku',
+    lastSeen: 'last seen',
+    enteredBy: 'entered by'
+};
+
+/**
+ * Parses CSV text into rows of fields.
+ * Handles quoted fields, doubled quotes, embedded commas/newlines and CRLF line endings.
+ * @param {string} text - Raw CSV text.
+ * @returns {string[][]} Rows of raw field values (blank rows removed).
+ */
+function parseCSV(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
             }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    return rows.filter(r => r.some(f => f.trim()));
+}
+
+/**
+ * Converts CSV text in the generateCSV layout into box data.
+ * Boxes are routed through normalizeSessionBoxes so keys match normalizeBoxNumber.
+ * @param {string} text - Raw CSV text.
+ * @returns {{boxes: Object<string, BoxData>, itemCount: number, skipped: number}}
+ */
+function parseAuditCSV(text) {
+    const rows = parseCSV(text);
+    if (rows.length < 2) {
+        throw new Error('CSV file appears to be empty or invalid');
+    }
+    
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    const col = {};
+    for (const [key, label] of Object.entries(CSV_COLUMNS)) {
+        col[key] = header.indexOf(label);
+    }
+    if (col.name === -1 || col.box === -1) {
+        throw new Error('Invalid CSV format. Expected columns: Item Name, Box, Qty, Secondary Location, Notes');
+    }
+    
+    const field = (row, index) => (index === -1 || index >= row.length ? '' : row[index].trim());
+    const imported = { boxes: {} };
+    const now = new Date().toISOString();
+    let itemCount = 0;
+    let skipped = 0;
+    
+    for (let i = 1; i < rows.length; i++) {
+        const row = rows[i];
+        const name = field(row, col.name);
+        const boxRaw = field(row, col.box).toUpperCase();
+        if (!name || !boxRaw) {
+            skipped++;
+            continue;
         }
         
-        // Fallback LocalStorage
-        if (!data) {
-            let stored = localStorage.getItem('boxAuditSession');
-            if (!stored) {
-                stored = sessionStorage.getItem('boxAuditSession_backup');
-                if (stored) {
-                    localStorage.setItem('boxAuditSession', stored);
-                }
+        if (!imported.boxes[boxRaw]) {
+            imported.boxes[boxRaw] = createEmptyBoxData();
+        }
+        const boxData = imported.boxes[boxRaw];
+        const secondary = normalizeShelfLocation(field(row, col.secondary));
+        if (secondary && !boxData.secondaryLocation) {
+            boxData.secondaryLocation = secondary;
+        }
+        
+        // Tags column, joined with "; " by generateCSV; files exported before it had the tags
+        // in Notes, joined with ", ", and Notes holds the item note only when Tags is there
+        const tags = col.tags !== -1
+            ? field(row, col.tags).split(';').map(t => t.trim()).filter(Boolean)
+            : field(row, col.notes).split(',').map(t => t.trim()).filter(Boolean);
+        const details = getItemDetails({
+            condition: parseItemCondition(field(row, col.condition)),
+            value: parseItemValue(field(row, col.value)),
+            sku: field(row, col.sku),
+            note: col.tags !== -1 ? field(row, col.notes) : ''
+        });
+        
+        const item = {
+            id: Date.now() + Math.random() + i,
+            name,
+            qty: parseInt(field(row, col.qty), 10) || 1,
+            addedAt: now,
+            isDuplicate: false,
+            tags,
+            enteredBy: field(row, col.enteredBy) || null,
+            ...details
+        };
+        const lastSeen = parseLocationInput(field(row, col.lastSeen));
+        if (lastSeen && lastSeen.primary) {
+            item.lastSeen = { box: lastSeen.primary, secondaryLocation: lastSeen.secondary, at: null };
+        }
+        boxData.items.push(item);
+        itemCount++;
+    }
+    
+    normalizeSessionBoxes(imported);
+    return { boxes: imported.boxes, itemCount, skipped };
+}
+
+
+// --- Session Merge ---
+
+function getItemNameKey(name) {
+    return String(name || '').toLowerCase().trim();
+}
+
+function indexItemsById(session) {
+    const byId = new Map();
+    for (const [boxKey, boxData] of Object.entries(session.boxes)) {
+        for (const item of boxData.items || []) {
+            byId.set(String(item.id), { box: boxKey, item });
+        }
+    }
+    return byId;
+}
+
+/**
+ * Works out how another session file folds into a session, without changing either.
+ * Incoming boxes are re-keyed with normalizeSessionBoxes; items match by id anywhere in the
+ * session, then by name within the same box, so an item counted on both laptops is not added twice.
+ * Each item here matches at most one incoming item, and items deleted here are left out.
+ * @param {Session} incoming - Parsed session JSON (e.g., another laptop's box-audit-data.json).
+ * @param {Session} [session] - Defaults to the current session.
+ * @returns {SessionMergePlan}
+ */
+function planSessionMerge(incoming, session = currentSession) {
+    if (!incoming || !incoming.boxes || typeof incoming.boxes !== 'object') {
+        throw new Error('Not a Box Audit session file');
+    }
+    const theirs = { boxes: cloneData(incoming.boxes) };
+    normalizeSessionBoxes(theirs);
+    const ourItems = indexItemsById(session);
+    const removedIds = new Set((session.removedItems || []).map(entry => String(entry.item.id)));
+    const matchedIds = new Set();
+    
+    const plan = { additions: [], conflicts: [], locations: [], completions: [], duplicates: 0, removed: 0, itemCount: 0 };
+    for (const [boxKey, boxData] of Object.entries(theirs.boxes)) {
+        const ours = session.boxes[boxKey];
+        const added = [];
+        
+        for (const item of boxData.items) {
+            plan.itemCount++;
+            if (removedIds.has(String(item.id))) {
+                plan.removed++;
+                continue;
             }
-            if (stored) {
-                data = JSON.parse(stored);
+            const byId = ourItems.get(String(item.id));
+            const byName = !byId && ours
+                ? ours.items.find(entry => !matchedIds.has(entry.id) && getItemNameKey(entry.name) === getItemNameKey(item.name))
+                : null;
+            const match = byId && !matchedIds.has(byId.item.id) ? byId.item : byName;
+            if (match) matchedIds.add(match.id);
+            if (!match && byId) {
+                plan.duplicates++; // The file lists the same item twice
+            } else if (!match) {
+                added.push({ ...item, tags: Array.isArray(item.tags) ? item.tags : [] });
+            } else if ((match.qty || 1) === (item.qty || 1)) {
+                plan.duplicates++;
+            } else {
+                plan.conflicts.push({
+                    type: 'qty',
+                    box: byId ? byId.box : boxKey,
+                    itemId: match.id,
+                    name: match.name,
+                    ours: match.qty || 1,
+                    theirs: item.qty || 1
+                });
             }
         }
+        if (added.length > 0) {
+            const boxMeta = ours ? null : {
+                completed: boxData.completed,
+                completedAt: boxData.completedAt,
+                completedBy: boxData.completedBy || null,
+                secondaryLocation: boxData.secondaryLocation
+            };
+            plan.additions.push({ box: boxKey, items: added, boxMeta });
+        }
+        if (!ours) continue;
         
-        if (data && typeof data === 'object') {
-            if (!data.boxes || typeof data.boxes !== 'object') {
-                console.error('Invalid data structure: missing boxes');
-                data = { id: null, startedAt: new Date().toISOString(), boxes: {} };
-            }
-            
-            currentSession = data;
-            
-            for (const [boxKey, boxData] of Object.entries(currentSession.boxes)) {
-                currentSession.boxes[boxKey] = ensureBoxDataShape(boxData);
+        if (boxData.secondaryLocation && boxData.secondaryLocation !== ours.secondaryLocation) {
+            if (ours.secondaryLocation) {
+                plan.conflicts.push({ type: 'location', box: boxKey, ours: ours.secondaryLocation, theirs: boxData.secondaryLocation });
+            } else {
+                plan.locations.push({ box: boxKey, location: boxData.secondaryLocation });
             }
-            
-            normalizeSessionBoxes();
-            saveToStorage(); 
-            markExistingBoxesAsCompleted();
-            
+        }
+        if (boxData.completed && !ours.completed) {
+            plan.completions.push({ box: boxKey, completedAt: boxData.completedAt, completedBy: boxData.completedBy || null });
+        }
+    }
+    return plan;
+}
+
+
+// --- Persistence ---
+
+function createSessionId(date) {
+    return `session-${date.toISOString().replace(/[:.]/g, '-')}`;
+}
+
+/**
+ * Replaces the current session with a new, empty one.
+ * @param {string} [name] - Optional display name for the session library.
+ */
+function startNewSession(name) {
+    const now = new Date();
+    currentSession = {
+        id: createSessionId(now),
+        name: name || null,
+        startedAt: now.toISOString(),
+        schemaVersion: SCHEMA_VERSION,
+        migrations: [],
+        boxes: {},
+        removedItems: [],
+        opLog: { ops: [], position: 0 }
+    };
+    rebuildSearchIndex();
+    saveToStorage();
+}
+
+/**
+ * Makes loaded data the current session, filling in defaults and normalizing boxes.
+ * @param {Session} data - Parsed session data.
+ */
+async function applyLoadedSession(data) {
+    if (!data.boxes || typeof data.boxes !== 'object') {
+        console.error('Invalid data structure: missing boxes');
+        data = { id: null, startedAt: new Date().toISOString(), boxes: {} };
+    }
+    if (!data.id) {
+        data.id = createSessionId(new Date(data.startedAt || Date.now()));
+    }
+    
+    if (getPendingMigrations(data).length > 0) {
+        await backupBeforeMigration(data);
+    }
+    
+    currentSession = data;
+    ensureOpLog(currentSession);
+    
+    for (const [boxKey, boxData] of Object.entries(currentSession.boxes)) {
+        currentSession.boxes[boxKey] = ensureBoxDataShape(boxData);
+    }
+    
+    runMigrations(currentSession);
+    rebuildSearchIndex();
+    saveToStorage(); 
+}
+
+async function loadSession() {
+    try {
+        const storage = getStorage();
+        const data = await storage.load();
+        
+        if (data && typeof data === 'object') {
+            console.log(`✓ Loaded session from ${storage.name} storage`);
+            await applyLoadedSession(data);
             return true; // Loaded successfully
         } else {
             console.warn('No valid session data found, starting new session');
@@ -363,10 +896,12 @@ function loadSession() {
         }
     } catch (e) {
         console.error('Error loading session:', e);
+        reportSaveStatus('error', 'Error loading session: ' + e.message);
         try {
             const backup = sessionStorage.getItem('boxAuditSession_backup');
             if (backup) {
                 currentSession = JSON.parse(backup);
+                rebuildSearchIndex();
                 return true;
             }
         } catch (e2) {}
@@ -374,91 +909,557 @@ function loadSession() {
     }
 }
 
-function saveToStorage() {
-    if (saveInProgress) {
-        savePending = true;
-        return;
+/**
+ * Saves the current session, then opens another one from the session library.
+ * @param {string} sessionId - Library id of the session to open.
+ */
+async function openStoredSession(sessionId) {
+    const storage = getStorage();
+    if (!storage.supportsLibrary) {
+        throw new Error('Session library is not available with this storage backend');
+    }
+    if (!await saveToStorage()) {
+        throw new Error('The current session could not be saved');
+    }
+    const data = await storage.load(sessionId);
+    if (!data) {
+        throw new Error('Session could not be opened');
+    }
+    await applyLoadedSession(data);
+}
+
+// Session ids double as file names in the desktop build's data folder
+const SESSION_ID_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * Parses an exported session JSON file and checks it has the Session shape from SCHEMA.md.
+ * Missing defaults are filled in; anything that can't be repaired is rejected.
+ * @param {string} text - Raw file contents.
+ * @returns {Session}
+ */
+function parseSessionJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('File is not valid JSON');
+    }
+    if (!data || typeof data !== 'object' || !data.boxes || typeof data.boxes !== 'object' || Array.isArray(data.boxes)) {
+        throw new Error('Not a Box Audit session file');
+    }
+    if (data.schemaVersion > SCHEMA_VERSION) {
+        throw new Error('This file was saved by a newer version of Box Audit');
     }
     
-    saveInProgress = true;
+    for (const [boxKey, boxData] of Object.entries(data.boxes)) {
+        if (!boxData || typeof boxData !== 'object') {
+            throw new Error(`${boxKey} is not a valid box`);
+        }
+        ensureBoxDataShape(boxData);
+        boxData.items.forEach((item, i) => {
+            if (!item || typeof item !== 'object' || typeof item.name !== 'string' || !item.name.trim()) {
+                throw new Error(`Item ${i + 1} in ${boxKey} has no name`);
+            }
+            if (item.id === undefined || item.id === null) item.id = Date.now() + Math.random() + i;
+            const qty = parseInt(item.qty, 10);
+            item.qty = qty >= 1 ? qty : 1;
+            if (typeof item.isDuplicate !== 'boolean') item.isDuplicate = false;
+            if (!Array.isArray(item.tags)) item.tags = [];
+            if (!item.addedAt) item.addedAt = null;
+        });
+    }
+    if (!Array.isArray(data.removedItems)) data.removedItems = [];
+    if (typeof data.id !== 'string' || !SESSION_ID_PATTERN.test(data.id)) {
+        data.id = null; // applyLoadedSession assigns one
+    }
+    return data;
+}
+
+/**
+ * Looks up a session in the session library, e.g. one an imported file would overwrite.
+ * @param {string|null} id
+ * @returns {Promise<SessionSummary|null>} Null without a library or when no stored session has the id.
+ */
+async function findStoredSession(id) {
+    const storage = getStorage();
+    if (!id || !storage.supportsLibrary) return null;
+    const sessions = await storage.list();
+    return sessions.find(session => session.id === id) || null;
+}
+
+/**
+ * Saves the current session, then makes an imported one (from parseSessionJSON) current.
+ * With a session library the previous session stays there; otherwise it is replaced.
+ * A stored session with the same id is replaced unless asCopy gives the import a fresh id.
+ * @param {Session} data
+ * @param {{asCopy?: boolean}} [options]
+ */
+async function importSession(data, { asCopy = false } = {}) {
+    if (!await saveToStorage()) {
+        throw new Error('The current session could not be saved');
+    }
+    if (asCopy) {
+        data.id = createSessionId(new Date());
+    }
+    await applyLoadedSession(data);
+}
+
+function getStorage() {
+    if (!storage) {
+        storage = window.BoxStorage.createStorageBackend();
+    }
+    return storage;
+}
+
+// Forwards save state to the UI (app.js defines window.showSaveStatus)
+function reportSaveStatus(state, message) {
+    if (window.showSaveStatus) window.showSaveStatus(state, message);
+    if (state === 'error' && window.showSaveError) window.showSaveError(message);
+}
+
+// Updates the search index for the boxes an op touched, then forwards the op to the UI
+// (app.js defines window.announceOp) so mobile clients can follow along
+function reportOpApplied(op) {
+    searchIndex.updateBoxes(currentSession, getOpBoxes(op));
+    if (window.announceOp) window.announceOp(op);
+}
+
+// --- Search Index ---
+
+// For changes made without ops, such as a session replaced by a CSV import
+function rebuildSearchIndex() {
+    searchIndex.build(currentSession);
+}
+
+/**
+ * Runs a search box query against the current session.
+ * @param {string} text
+ * @param {number} [limit]
+ * @returns {SearchResult[]}
+ */
+function searchItems(text, limit) {
+    return searchSession(currentSession, text, limit, searchIndex);
+}
+
+/**
+ * Items in a box with any of the given names, compared without case or repeated spaces.
+ * @param {string} boxKey
+ * @param {string[]} names
+ * @returns {Item[]} In no particular order.
+ */
+function findItemsByName(boxKey, names) {
+    return searchIndex.findByName(boxKey, names);
+}
+
+/**
+ * Persists the current session through the active storage backend.
+ * Saves are serialized: while one is in flight, further calls collapse into a single
+ * follow-up save that writes whatever the session looks like when it starts.
+ * @returns {Promise<boolean>} Resolves true once the latest requested state is saved.
+ */
+function saveToStorage() {
+    if (saveQueued) return saveChain;
+    saveQueued = true;
     
-    try {
-        const dataToSave = JSON.stringify(currentSession);
-        
-        // Electron
-        if (window.electronAPI && window.electronAPI.saveData) {
-            const success = window.electronAPI.saveData(currentSession);
-            if (success) {
-                try {
-                    localStorage.setItem('boxAuditSession', dataToSave);
-                } catch (e) {}
-                return;
+    saveChain = saveChain.then(async () => {
+        saveQueued = false;
+        reportSaveStatus('saving');
+        try {
+            await getStorage().save(currentSession);
+            reportSaveStatus('saved');
+            return true;
+        } catch (e) {
+            console.error('Error saving session:', e);
+            reportSaveStatus('error', 'Error saving: ' + e.message);
+            return false;
+        }
+    });
+    return saveChain;
+}
+
+function autoSave() {
+    saveToStorage();
+}
+
+// --- Operation Log (Undo/Redo) ---
+//
+// Every undoable change is recorded as an op in session.opLog. An op carries the state
+// it changes on both sides (before/after, or the whole item for add/delete), so invertOp
+// can turn it around without a snapshot of the session. Ops:
+//   addItem / deleteItem   { box, item, index, boxMeta }   boxMeta: box created/removed with the item
+//   editItem               { box, itemId, before: {name, qty, isDuplicate}, after }
+//   mergeQty               { box, itemId, name, before: {qty, addedAt, index}, after }
+//   moveItem               { box, toBox, itemId, name, index, toIndex, boxMeta, toBoxMeta }
+//                          boxMeta: source box removed once emptied; toBoxMeta: target box created
+//   setSecondaryLocation   { box, before, after }
+//   toggleComplete         { box, before: {completed, completedAt}, after }
+//   batch                  { ops, label? }   applied in order, undone in reverse
+
+function cloneData(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Ensures a session has a usable operation log.
+ * @param {Session} [session] - Defaults to the current session.
+ * @returns {OpLog}
+ */
+function ensureOpLog(session = currentSession) {
+    const log = session.opLog;
+    if (!log || !Array.isArray(log.ops)) {
+        session.opLog = { ops: [], position: 0 };
+    } else if (!Number.isInteger(log.position) || log.position < 0 || log.position > log.ops.length) {
+        log.position = log.ops.length;
+    }
+    return session.opLog;
+}
+
+function resetHistory() {
+    currentSession.opLog = { ops: [], position: 0 };
+}
+
+function insertItemAt(items, item, index) {
+    const at = Number.isInteger(index) ? Math.min(Math.max(index, 0), items.length) : items.length;
+    items.splice(at, 0, item);
+}
+
+function takeItem(boxData, itemId) {
+    const index = boxData ? boxData.items.findIndex(item => item.id === itemId) : -1;
+    return index === -1 ? null : boxData.items.splice(index, 1)[0];
+}
+
+/**
+ * Returns the op that undoes the given op.
+ * @param {Op} op
+ * @returns {Op}
+ */
+function invertOp(op) {
+    switch (op.type) {
+        case 'addItem':
+            return { ...op, type: 'deleteItem' };
+        case 'deleteItem':
+            return { ...op, type: 'addItem' };
+        case 'moveItem':
+            return {
+                ...op,
+                box: op.toBox,
+                toBox: op.box,
+                index: op.toIndex,
+                toIndex: op.index,
+                boxMeta: op.toBoxMeta,
+                toBoxMeta: op.boxMeta
+            };
+        case 'editItem':
+        case 'mergeQty':
+        case 'setSecondaryLocation':
+        case 'setBoxPhotos':
+        case 'toggleComplete':
+            return { ...op, before: op.after, after: op.before };
+        case 'batch':
+            return { ...op, ops: op.ops.map(invertOp).reverse() };
+        default:
+            throw new Error(`Unknown operation: ${op.type}`);
+    }
+}
+
+// --- Item Change Logs ---
+//
+// Each item carries an append-only log of what happened to it. Events are written by applyOp,
+// so undo/redo/revert add events (marked with `via`) rather than erasing earlier ones.
+// Deleted items are kept as tombstones in session.removedItems and come back from there.
+
+function logItemEvent(item, event, via) {
+    if (!Array.isArray(item.log)) item.log = [];
+    const entry = { ...event, at: new Date().toISOString() };
+    if (via) entry.via = via;
+    item.log.push(entry);
+}
+
+function takeTombstone(session, itemId) {
+    const removed = session.removedItems || [];
+    const index = removed.findIndex(entry => entry.item.id === itemId);
+    return index === -1 ? null : removed.splice(index, 1)[0];
+}
+
+/**
+ * Gives items without a change log a "created" event (dated from addedAt) and makes sure the
+ * session has a removedItems list. Used by the start-item-logs migration and CSV replace.
+ * @param {Session} [session] - Defaults to the current session.
+ */
+function ensureItemLogs(session = currentSession) {
+    if (!Array.isArray(session.removedItems)) session.removedItems = [];
+    for (const [boxKey, boxData] of Object.entries(session.boxes)) {
+        for (const item of boxData.items || []) {
+            if (!Array.isArray(item.log)) {
+                item.log = [{ type: 'created', box: boxKey, at: item.addedAt || new Date().toISOString() }];
             }
         }
-        
-        // LocalStorage
-        try {
-            localStorage.setItem('boxAuditSession', dataToSave);
-            const verify = localStorage.getItem('boxAuditSession');
-            if (!verify || verify !== dataToSave) {
-                throw new Error("Verification failed");
+    }
+}
+
+// Logs live on the items and tombstones, so ops recorded for undo do not need their own copy
+function stripItemLogs(op) {
+    if (op.item) delete op.item.log;
+    if (op.ops) op.ops.forEach(stripItemLogs);
+    return op;
+}
+
+/**
+ * Applies an op to the session. Ops whose box or item is gone are skipped.
+ * @param {Op} op
+ * @param {Session} [session] - Defaults to the current session.
+ * @param {'undo'|'redo'|'revert'|null} [via] - Recorded on item log events; reverts are detected from the op.
+ */
+function applyOp(op, session = currentSession, via = op.revertOf ? 'revert' : null) {
+    const boxes = session.boxes;
+    const boxData = boxes[op.box];
+    
+    switch (op.type) {
+        case 'addItem': {
+            if (!boxData) {
+                boxes[op.box] = { ...createEmptyBoxData(), ...cloneData(op.boxMeta) };
             }
-        } catch (e) {
-            sessionStorage.setItem('boxAuditSession_backup', dataToSave);
-            if (window.showSaveError) window.showSaveError('Data saved to session backup only (Persistence failed).');
+            const item = cloneData(op.item);
+            const tombstone = takeTombstone(session, item.id);
+            item.log = tombstone ? tombstone.item.log || [] : [];
+            logItemEvent(item, { type: item.log.length > 0 ? 'restored' : 'created', box: op.box }, via);
+            insertItemAt(boxes[op.box].items, item, op.index);
+            break;
         }
-    } catch (e) {
-        console.error('Error saving session:', e);
-        if (window.showSaveError) window.showSaveError('Error saving: ' + e.message);
-    } finally {
-        saveInProgress = false;
-        if (savePending) {
-            savePending = false;
-            setTimeout(() => saveToStorage(), 0);
+        case 'deleteItem': {
+            const item = takeItem(boxData, op.item.id);
+            if (item) {
+                logItemEvent(item, { type: 'deleted', box: op.box, reason: op.reason || null }, via);
+                if (!Array.isArray(session.removedItems)) session.removedItems = [];
+                session.removedItems.push({ item, box: op.box, removedAt: item.log[item.log.length - 1].at });
+            }
+            if (op.boxMeta && boxData && boxData.items.length === 0) {
+                delete boxes[op.box];
+            }
+            break;
+        }
+        case 'editItem': {
+            const item = boxData && boxData.items.find(i => i.id === op.itemId);
+            if (!item) break;
+            const { name, qty, tags, photos } = op.after;
+            if (name !== undefined && name !== item.name) {
+                logItemEvent(item, { type: 'renamed', from: item.name, to: name }, via);
+            }
+            if (qty !== undefined && qty !== item.qty) {
+                logItemEvent(item, { type: 'qty', from: item.qty, to: qty }, via);
+            }
+            if (tags !== undefined && JSON.stringify(tags) !== JSON.stringify(item.tags || [])) {
+                logItemEvent(item, { type: 'tagged', from: item.tags || [], to: tags }, via);
+            }
+            if (photos !== undefined && photos.length !== (item.photos || []).length) {
+                logItemEvent(item, { type: 'photos', from: (item.photos || []).length, to: photos.length }, via);
+            }
+            for (const field of ITEM_DETAIL_FIELDS) {
+                const from = item[field] ?? null;
+                if (op.after[field] !== undefined && op.after[field] !== from) {
+                    logItemEvent(item, { type: 'detail', field, from, to: op.after[field] }, via);
+                }
+            }
+            Object.assign(item, cloneData(op.after));
+            break;
         }
+        case 'mergeQty': {
+            const item = takeItem(boxData, op.itemId);
+            if (!item) break;
+            if (item.qty !== op.after.qty) {
+                logItemEvent(item, { type: 'qty', from: item.qty, to: op.after.qty }, via);
+            }
+            item.qty = op.after.qty;
+            item.addedAt = op.after.addedAt;
+            insertItemAt(boxData.items, item, op.after.index);
+            break;
+        }
+        case 'moveItem': {
+            const item = takeItem(boxData, op.itemId);
+            if (!item) break;
+            logItemEvent(item, { type: 'moved', from: op.box, to: op.toBox }, via);
+            if (!boxes[op.toBox]) {
+                boxes[op.toBox] = { ...createEmptyBoxData(), ...cloneData(op.toBoxMeta) };
+            }
+            insertItemAt(boxes[op.toBox].items, item, op.toIndex);
+            if (op.boxMeta && boxData.items.length === 0) {
+                delete boxes[op.box];
+            }
+            break;
+        }
+        case 'setSecondaryLocation':
+            if (boxData) boxData.secondaryLocation = op.after;
+            break;
+        case 'setBoxPhotos':
+            if (boxData) boxData.photos = cloneData(op.after);
+            break;
+        case 'toggleComplete':
+            if (boxData) Object.assign(boxData, op.after);
+            break;
+        case 'batch':
+            op.ops.forEach(child => applyOp(child, session, via));
+            break;
+        default:
+            throw new Error(`Unknown operation: ${op.type}`);
     }
 }
 
-function autoSave() {
-    saveToStorage();
+/**
+ * Applies an op to the current session and records it for undo.
+ * Anything that was undone is dropped, as in any undo stack.
+ * @param {Op} op
+ * @returns {Op} The recorded op.
+ */
+function commitOp(op) {
+    const log = ensureOpLog();
+    const recorded = {
+        ...stripItemLogs(cloneData(op)),
+        id: `o${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        at: new Date().toISOString()
+    };
+    applyOp(recorded);
+    reportOpApplied(recorded);
+    
+    log.ops.length = log.position;
+    log.ops.push(recorded);
+    const maxOps = window.CONFIG?.MAX_HISTORY_SIZE || 50;
+    if (log.ops.length > maxOps) {
+        log.ops.splice(0, log.ops.length - maxOps);
+    }
+    log.position = log.ops.length;
+    return recorded;
 }
 
-// History Management
-function saveStateToHistory() {
-    // Remove future history
-    history = history.slice(0, historyIndex + 1);
-    // Push current
-    history.push(JSON.parse(JSON.stringify(currentSession)));
-    historyIndex = history.length - 1;
+/**
+ * Moves the current session to a point in the log by undoing or redoing ops.
+ * @param {number} position - Number of ops to leave applied (0 = session start).
+ * @returns {boolean} False if the session was already there.
+ */
+function jumpToHistory(position) {
+    const log = ensureOpLog();
+    const target = Math.min(Math.max(position, 0), log.ops.length);
+    if (target === log.position) return false;
     
-    if (history.length > (window.CONFIG?.MAX_HISTORY_SIZE || 50)) {
-        history.shift();
-        historyIndex--;
+    while (log.position > target) {
+        log.position--;
+        const inverse = invertOp(log.ops[log.position]);
+        applyOp(inverse, currentSession, 'undo');
+        reportOpApplied(inverse);
+    }
+    while (log.position < target) {
+        applyOp(log.ops[log.position], currentSession, 'redo');
+        reportOpApplied(log.ops[log.position]);
+        log.position++;
     }
+    saveToStorage();
+    return true;
 }
 
 function undo() {
-    if (historyIndex > 0) {
-        historyIndex--;
-        currentSession = JSON.parse(JSON.stringify(history[historyIndex]));
-        return true;
-    }
-    return false;
+    return jumpToHistory(ensureOpLog().position - 1);
 }
 
 function redo() {
-    if (historyIndex < history.length - 1) {
-        historyIndex++;
-        currentSession = JSON.parse(JSON.stringify(history[historyIndex]));
-        return true;
+    return jumpToHistory(ensureOpLog().position + 1);
+}
+
+// Boxes an op changes (a batch can span several, e.g. moving an item out of MISSING)
+function getOpBoxes(op) {
+    let boxes = [op.box];
+    if (op.type === 'batch') boxes = op.ops.flatMap(getOpBoxes);
+    if (op.type === 'moveItem') boxes = [op.box, op.toBox];
+    return [...new Set(boxes)];
+}
+
+// What an op changes, at the granularity used to detect conflicts when reverting
+function getOpTargets(op) {
+    switch (op.type) {
+        case 'batch':
+            return op.ops.flatMap(getOpTargets);
+        case 'setSecondaryLocation':
+            return [`${op.box}|secondaryLocation`];
+        case 'setBoxPhotos':
+            return [`${op.box}|photos`];
+        case 'toggleComplete':
+            return [`${op.box}|completed`];
+        case 'moveItem':
+            return [`${op.box}|item:${op.itemId}`, `${op.toBox}|item:${op.itemId}`];
+        default:
+            return [`${op.box}|item:${op.item ? op.item.id : op.itemId}`];
     }
-    return false;
+}
+
+/**
+ * Undoes one past op without rolling back the ops recorded after it, by committing its
+ * inverse as a new op. Refused when a later op changed the same item or box field.
+ * @param {number} index - Index of an applied op in session.opLog.ops.
+ * @returns {Op} The recorded revert op.
+ */
+function revertOp(index) {
+    const log = ensureOpLog();
+    const op = log.ops[index];
+    if (!op || index >= log.position) {
+        throw new Error('Only changes that are currently applied can be reverted');
+    }
+    
+    // A later change and the revert taking it back cancel out, so neither of them blocks this revert
+    const later = log.ops.slice(index + 1, log.position);
+    const laterIds = new Set(later.map(getOpId));
+    const cancelled = getRevertedOpIds(log);
+    const targets = new Set(getOpTargets(op));
+    const laterConflict = later
+        .filter(laterOp => !cancelled.has(getOpId(laterOp)) && !(laterOp.revertOf && laterIds.has(laterOp.revertOf)))
+        .some(laterOp => getOpTargets(laterOp).some(target => targets.has(target)));
+    if (laterConflict) {
+        throw new Error('A later change touches the same item. Revert that change first.');
+    }
+    
+    const { id, at, revertOf, ...change } = invertOp(op);
+    const reverted = commitOp({ ...change, revertOf: getOpId(op) });
+    saveToStorage();
+    return reverted;
+}
+
+// Ops recorded before ops had ids are known by their time
+function getOpId(op) {
+    return op.id || op.at;
+}
+
+// Ids of applied ops taken back by a later revert, unless that revert was itself reverted
+function getRevertedOpIds(log) {
+    const reverted = new Set();
+    for (let i = log.position - 1; i >= 0; i--) {
+        const op = log.ops[i];
+        if (op.revertOf && !reverted.has(getOpId(op))) reverted.add(op.revertOf);
+    }
+    return reverted;
+}
+
+/**
+ * Reverts the most recent applied op that changed the given box, leaving other boxes alone.
+ * Reverts and the ops they undid are skipped, so repeated calls step further back.
+ * @param {string} boxKey
+ * @returns {Op|null} The recorded revert op, or null if the box has nothing to undo.
+ */
+function undoInBox(boxKey) {
+    const log = ensureOpLog();
+    const reverted = getRevertedOpIds(log);
+    for (let i = log.position - 1; i >= 0; i--) {
+        const op = log.ops[i];
+        if (op.revertOf || reverted.has(getOpId(op))) continue;
+        if (getOpBoxes(op).includes(boxKey)) {
+            return revertOp(i);
+        }
+    }
+    return null;
 }
 
 // Make accessible to window
 window.BoxData = {
-    currentSession,
-    history,
+    // Getter so callers always see the live session after load/open replace it
+    get currentSession() {
+        return currentSession;
+    },
     createEmptyBoxData,
     ensureBoxDataShape,
     ensureBoxExists,
@@ -466,12 +1467,48 @@ window.BoxData = {
     normalizeShelfLocation,
     isShelfLocation,
     isBoxLocation,
+    MISSING_LOCATION,
+    isMissingLocation,
+    formatLastSeen,
     parseLocationInput,
+    parseMoveInput,
     parseQuantity,
+    ITEM_CONDITIONS,
+    ITEM_DETAIL_FIELDS,
+    parseItemEntry,
+    formatItemEntry,
+    parseItemCondition,
+    parseItemValue,
+    formatItemValue,
+    getItemDetails,
+    getItemsValue,
+    normalizeSessionBoxes,
+    parseCSV,
+    parseAuditCSV,
+    planSessionMerge,
+    parseSessionJSON,
+    importSession,
+    findStoredSession,
     loadSession,
+    applyLoadedSession,
+    openStoredSession,
+    SCHEMA_VERSION,
+    runMigrations,
     saveToStorage,
+    getStorage,
     autoSave,
-    saveStateToHistory,
+    commitOp,
+    applyOp,
+    invertOp,
+    resetHistory,
+    rebuildSearchIndex,
+    searchItems,
+    findItemsByName,
+    ensureItemLogs,
+    getOpBoxes,
+    jumpToHistory,
+    revertOp,
+    undoInBox,
     undo,
     redo,
     startNewSession
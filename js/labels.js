@@ -0,0 +1,519 @@
+/**
+ * Box Labels Module
+ * Self-contained QR Code and Code 128 encoders, and printable label sheets rendered as HTML/SVG.
+ * Nothing is fetched: no web fonts, images or barcode services, so labels print offline.
+ */
+
+// --- QR Code ---
+// Byte mode, error correction level M (~15% damage tolerated), versions 1-10 (up to 213 bytes).
+
+// Per version: [EC codewords per block, [blocks, data codewords per block], ...]
+const QR_EC_BLOCKS_M = [
+    null,
+    [10, [1, 16]],
+    [16, [1, 28]],
+    [26, [1, 44]],
+    [18, [2, 32]],
+    [24, [2, 43]],
+    [16, [4, 27]],
+    [18, [4, 31]],
+    [22, [2, 38], [2, 39]],
+    [22, [3, 36], [2, 37]],
+    [26, [4, 43], [1, 44]]
+];
+
+const QR_ALIGNMENT_POSITIONS = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+const QR_MAX_VERSION = QR_EC_BLOCKS_M.length - 1;
+const QR_FORMAT_BITS_M = 0; // EC level bits: L=1, M=0, Q=3, H=2
+
+// GF(256) multiply with the QR field polynomial x^8 + x^4 + x^3 + x^2 + 1
+function qrMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function qrReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = qrMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = qrMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function qrReedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => {
+            result[i] ^= qrMultiply(coef, factor);
+        });
+    }
+    return result;
+}
+
+function getQRBlockLayout(version) {
+    const [ecPerBlock, ...groups] = QR_EC_BLOCKS_M[version];
+    const blocks = [];
+    for (const [count, dataLength] of groups) {
+        for (let i = 0; i < count; i++) blocks.push(dataLength);
+    }
+    return { ecPerBlock, blocks, dataCodewords: blocks.reduce((sum, n) => sum + n, 0) };
+}
+
+// Mode, count, data, terminator and pad bytes, split into blocks with EC and interleaved
+function buildQRCodewords(bytes, version) {
+    const { ecPerBlock, blocks, dataCodewords } = getQRBlockLayout(version);
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+
+    const capacity = dataCodewords * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    const divisor = qrReedSolomonDivisor(ecPerBlock);
+    const dataBlocks = [];
+    const ecBlocks = [];
+    let offset = 0;
+    for (const length of blocks) {
+        const block = data.slice(offset, offset + length);
+        offset += length;
+        dataBlocks.push(block);
+        ecBlocks.push(qrReedSolomonRemainder(block, divisor));
+    }
+
+    const result = [];
+    const longest = Math.max(...blocks);
+    for (let i = 0; i < longest; i++) {
+        dataBlocks.forEach(block => {
+            if (i < block.length) result.push(block[i]);
+        });
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+        ecBlocks.forEach(block => result.push(block[i]));
+    }
+    return result;
+}
+
+function createQRGrid(size) {
+    return {
+        size,
+        modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+        reserved: Array.from({ length: size }, () => new Array(size).fill(false))
+    };
+}
+
+function setQRFunctionModule(grid, x, y, dark) {
+    grid.modules[y][x] = dark;
+    grid.reserved[y][x] = true;
+}
+
+function drawQRFormatBits(grid, mask) {
+    const data = (QR_FORMAT_BITS_M << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+    const size = grid.size;
+
+    for (let i = 0; i <= 5; i++) setQRFunctionModule(grid, 8, i, bit(i));
+    setQRFunctionModule(grid, 8, 7, bit(6));
+    setQRFunctionModule(grid, 8, 8, bit(7));
+    setQRFunctionModule(grid, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setQRFunctionModule(grid, 14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) setQRFunctionModule(grid, size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setQRFunctionModule(grid, 8, size - 15 + i, bit(i));
+    setQRFunctionModule(grid, 8, size - 8, true);
+}
+
+function drawQRFunctionPatterns(grid, version) {
+    const size = grid.size;
+    for (let i = 0; i < size; i++) {
+        setQRFunctionModule(grid, 6, i, i % 2 === 0);
+        setQRFunctionModule(grid, i, 6, i % 2 === 0);
+    }
+
+    // Finders with their separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                setQRFunctionModule(grid, x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    }
+
+    const positions = QR_ALIGNMENT_POSITIONS[version];
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+        positions.forEach((cy, j) => {
+            // The three corners already hold finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setQRFunctionModule(grid, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    drawQRFormatBits(grid, 0); // Placeholder so the area is reserved; redrawn once a mask is chosen
+
+    if (version >= 7) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setQRFunctionModule(grid, a, b, dark);
+            setQRFunctionModule(grid, b, a, dark);
+        }
+    }
+}
+
+// Zigzag placement: two-module columns from the right edge, alternating up and down
+function drawQRCodewords(grid, codewords) {
+    const size = grid.size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // Skip the vertical timing pattern
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (grid.reserved[y][x] || i >= codewords.length * 8) continue;
+                grid.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                i++;
+            }
+        }
+    }
+}
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function applyQRMask(grid, mask) {
+    const test = QR_MASKS[mask];
+    for (let y = 0; y < grid.size; y++) {
+        for (let x = 0; x < grid.size; x++) {
+            if (!grid.reserved[y][x] && test(x, y)) grid.modules[y][x] = !grid.modules[y][x];
+        }
+    }
+}
+
+// Standard mask penalty (runs, 2x2 blocks, finder look-alikes, dark balance); lower scans better
+function getQRPenalty(modules) {
+    const size = modules.length;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i]);
+        lines.push(modules.map(row => row[i]));
+    }
+
+    let penalty = 0;
+    for (const line of lines) {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+                continue;
+            }
+            if (run >= 5) penalty += run - 2;
+            run = 1;
+        }
+        const text = line.map(dark => (dark ? '1' : '0')).join('');
+        for (const pattern of ['10111010000', '00001011101']) {
+            for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) penalty += 40;
+        }
+    }
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) penalty += 3;
+            }
+        }
+    }
+    penalty += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+    return penalty;
+}
+
+/**
+ * Encodes text as a QR Code symbol.
+ * @param {string} text - Encoded as UTF-8 bytes.
+ * @returns {boolean[][]} Module grid, rows of columns; true = dark. No quiet zone.
+ */
+function encodeQR(text) {
+    const bytes = Array.from(new TextEncoder().encode(String(text)));
+    let version = 1;
+    while (version <= QR_MAX_VERSION) {
+        const headerBits = 4 + (version < 10 ? 8 : 16);
+        if (headerBits + bytes.length * 8 <= getQRBlockLayout(version).dataCodewords * 8) break;
+        version++;
+    }
+    if (version > QR_MAX_VERSION) {
+        throw new Error('Text is too long for a label QR code');
+    }
+
+    const codewords = buildQRCodewords(bytes, version);
+    let best = null;
+    for (let mask = 0; mask < QR_MASKS.length; mask++) {
+        const grid = createQRGrid(version * 4 + 17);
+        drawQRFunctionPatterns(grid, version);
+        drawQRCodewords(grid, codewords);
+        applyQRMask(grid, mask);
+        drawQRFormatBits(grid, mask);
+        const penalty = getQRPenalty(grid.modules);
+        if (!best || penalty < best.penalty) best = { penalty, modules: grid.modules };
+    }
+    return best.modules;
+}
+
+// --- Code 128 ---
+
+// Bar/space widths per symbol value; 103-105 are Start A/B/C, 106 is Stop
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+/**
+ * Encodes text as a Code 128 symbol. Digit-only text of even length uses the denser code set C;
+ * everything else uses code set B (printable ASCII).
+ * @param {string} text
+ * @returns {number[]} Alternating bar/space widths in modules, starting with a bar. No quiet zone.
+ */
+function encodeCode128(text) {
+    const value = String(text);
+    if (!value) throw new Error('Nothing to encode');
+
+    let codes;
+    if (/^(\d\d)+$/.test(value)) {
+        codes = [CODE128_START_C];
+        for (let i = 0; i < value.length; i += 2) codes.push(parseInt(value.slice(i, i + 2), 10));
+    } else {
+        codes = [CODE128_START_B];
+        for (const char of value) {
+            const code = char.charCodeAt(0);
+            if (char.length !== 1 || code < 32 || code > 127) {
+                throw new Error(`Code 128 cannot encode "${char}"`);
+            }
+            codes.push(code - 32);
+        }
+    }
+
+    const checksum = codes.reduce((sum, code, i) => sum + code * Math.max(i, 1), 0) % 103;
+    codes.push(checksum, CODE128_STOP);
+    return codes.flatMap(code => CODE128_PATTERNS[code].split('').map(Number));
+}
+
+// --- SVG ---
+
+function escapeLabelText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const QR_QUIET_ZONE = 4;
+const CODE128_QUIET_ZONE = 10;
+
+/**
+ * @param {string} text
+ * @returns {string} Square SVG that scales to its container.
+ */
+function renderQRSvg(text) {
+    const modules = encodeQR(text);
+    const size = modules.length + QR_QUIET_ZONE * 2;
+    let path = '';
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path += `M${x + QR_QUIET_ZONE} ${y + QR_QUIET_ZONE}h1v1h-1z`;
+        });
+    });
+    return `<svg class="label-qr" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+        `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} SVG stretched to its container; bar widths stay proportional.
+ */
+function renderCode128Svg(text) {
+    const widths = encodeCode128(text);
+    const total = widths.reduce((sum, w) => sum + w, 0) + CODE128_QUIET_ZONE * 2;
+    let x = CODE128_QUIET_ZONE;
+    let path = '';
+    widths.forEach((width, i) => {
+        if (i % 2 === 0) path += `M${x} 0h${width}v10h-${width}z`;
+        x += width;
+    });
+    return `<svg class="label-barcode" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} 10" preserveAspectRatio="none" shape-rendering="crispEdges">` +
+        `<rect width="${total}" height="10" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+// --- Label Sheets ---
+
+// Sizes in the layout's unit; top/left are the page margins to the first label
+const LABEL_LAYOUTS = {
+    'avery-5160': {
+        name: 'Avery 5160 (Letter, 30 per sheet, 2⅝ × 1 in)', unit: 'in',
+        page: [8.5, 11], label: [2.625, 1], columns: 3, rows: 10, top: 0.5, left: 0.1875, gap: [0.125, 0]
+    },
+    'avery-5163': {
+        name: 'Avery 5163 (Letter, 10 per sheet, 4 × 2 in)', unit: 'in',
+        page: [8.5, 11], label: [4, 2], columns: 2, rows: 5, top: 0.5, left: 0.15625, gap: [0.1875, 0]
+    },
+    'avery-l7160': {
+        name: 'Avery L7160 (A4, 21 per sheet, 63.5 × 38.1 mm)', unit: 'mm',
+        page: [210, 297], label: [63.5, 38.1], columns: 3, rows: 7, top: 15.15, left: 7.25, gap: [2.5, 0]
+    },
+    'avery-l7163': {
+        name: 'Avery L7163 (A4, 14 per sheet, 99.1 × 38.1 mm)', unit: 'mm',
+        page: [210, 297], label: [99.1, 38.1], columns: 2, rows: 7, top: 15.15, left: 4.65, gap: [2.5, 0]
+    },
+    'thermal-2x1': {
+        name: 'Thermal 2.25 × 1.25 in (one label per page)', unit: 'in',
+        page: [2.25, 1.25], label: [2.25, 1.25], columns: 1, rows: 1, top: 0, left: 0, gap: [0, 0]
+    }
+};
+
+const DEFAULT_LABEL_LAYOUT = 'avery-5160';
+
+function renderLabel(label, layout, x, y) {
+    const { unit } = layout;
+    const [width, height] = layout.label;
+    const pad = height * 0.08;
+    const inner = height - pad * 2;
+    const secondary = label.secondaryLocation
+        ? `<div class="label-secondary" style="font-size:${(inner * 0.16).toFixed(3)}${unit}">${escapeLabelText(label.secondaryLocation)}</div>`
+        : '';
+    return `<div class="label" style="left:${x}${unit};top:${y}${unit};width:${width}${unit};height:${height}${unit};padding:${pad.toFixed(3)}${unit};gap:${pad.toFixed(3)}${unit}">
+        <div class="label-qr-wrap" style="width:${inner.toFixed(3)}${unit};height:${inner.toFixed(3)}${unit}">${renderQRSvg(label.key)}</div>
+        <div class="label-text">
+            <div class="label-key" style="font-size:${(inner * 0.3).toFixed(3)}${unit}">${escapeLabelText(label.key)}</div>
+            ${secondary}
+            <div class="label-barcode-wrap">${renderCode128Svg(label.key)}</div>
+        </div>
+    </div>`;
+}
+
+/**
+ * Renders a printable HTML document with one page per sheet.
+ * @param {Array<{key: string, secondaryLocation?: string|null}>} labels - In print order.
+ * @param {string} [layoutId] - Key of LABEL_LAYOUTS.
+ * @returns {string}
+ */
+function renderLabelSheets(labels, layoutId = DEFAULT_LABEL_LAYOUT) {
+    const layout = LABEL_LAYOUTS[layoutId];
+    if (!layout) throw new Error(`Unknown label layout: ${layoutId}`);
+    const { unit } = layout;
+    const [pageWidth, pageHeight] = layout.page;
+    const perSheet = layout.columns * layout.rows;
+
+    const sheets = [];
+    for (let start = 0; start < labels.length; start += perSheet) {
+        const cells = labels.slice(start, start + perSheet).map((label, i) => {
+            const column = i % layout.columns;
+            const row = Math.floor(i / layout.columns);
+            const x = layout.left + column * (layout.label[0] + layout.gap[0]);
+            const y = layout.top + row * (layout.label[1] + layout.gap[1]);
+            return renderLabel(label, layout, +x.toFixed(4), +y.toFixed(4));
+        });
+        sheets.push(`<div class="sheet">${cells.join('')}</div>`);
+    }
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Box Labels</title>
+<style>
+@page { size: ${pageWidth}${unit} ${pageHeight}${unit}; margin: 0; }
+* { box-sizing: border-box; }
+body { margin: 0; font-family: Arial, Helvetica, sans-serif; color: #000; background: #fff; }
+.sheet { position: relative; width: ${pageWidth}${unit}; height: ${pageHeight}${unit}; overflow: hidden; page-break-after: always; break-after: page; }
+.sheet:last-child { page-break-after: auto; break-after: auto; }
+.label { position: absolute; display: flex; align-items: stretch; overflow: hidden; }
+.label-qr-wrap { flex: none; }
+.label-qr-wrap svg { display: block; width: 100%; height: 100%; }
+.label-text { flex: 1; min-width: 0; display: flex; flex-direction: column; justify-content: space-between; }
+.label-key { font-weight: 700; line-height: 1; white-space: nowrap; }
+.label-secondary { line-height: 1.1; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+.label-barcode-wrap { flex: 1; min-height: 0; max-height: 45%; margin-top: 4%; }
+.label-barcode-wrap svg { display: block; width: 100%; height: 100%; }
+</style>
+</head>
+<body>
+${sheets.join('\n')}
+</body>
+</html>`;
+}
+
+window.BoxLabels = {
+    encodeQR,
+    encodeCode128,
+    renderQRSvg,
+    renderCode128Svg,
+    LABEL_LAYOUTS,
+    DEFAULT_LABEL_LAYOUT,
+    renderLabelSheets
+};
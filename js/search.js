@@ -0,0 +1,488 @@
+/**
+ * Search Module
+ * Parses search box queries such as `tag:fragile shelf:2 qty>5 status:open cable` and ranks
+ * the matching items and locations of a session. Item names are matched typo-tolerantly.
+ *
+ * Filters (all must hold):
+ *   tag:<text>      An item tag contains the text
+ *   by:<text>       Entered by a matching operator
+ *   qty:<n>         Also qty=n, qty>n, qty>=n, qty<n, qty<=n
+ *   box:<text>      The box number (box:1 is BOX001, not BOX010); text without a number matches within the key
+ *   shelf:<text>    The shelf, or the box's secondary location: shelf:2 is SHELF 2 and its sections
+ *                   (2A, 2B...), shelf:2c only SHELF 2C
+ *   status:<state>  open, done (or complete) or missing
+ * Everything else is a search term; "quoted text" is matched as one phrase.
+ *
+ * SessionSearchIndex keeps item name and tag words, and box key and secondary location words,
+ * in inverted indexes, so a search only scores the items and locations that can match instead
+ * of the whole session.
+ */
+
+const SEARCH_FILTER_FIELDS = ['tag', 'box', 'shelf', 'by', 'qty', 'status'];
+// Filters about the item itself; the rest are about its location
+const SEARCH_ITEM_FIELDS = ['tag', 'by', 'qty'];
+const SEARCH_TOKEN_PATTERN = /(\w+)(>=|<=|:|>|<|=)("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+// Shorter terms must match exactly: one typo in a three-letter word is a different word
+const SEARCH_FUZZY_MIN_LENGTH = 4;
+const SEARCH_WORD_PATTERN = /[a-z0-9]+/g;
+
+/**
+ * @param {string} text
+ * @returns {{terms: string[], filters: {field: string, op: string, value: string}[]}}
+ *   Terms are lowercased; filter values keep their case.
+ */
+function parseSearchQuery(text) {
+    const terms = [];
+    const filters = [];
+    for (const match of String(text || '').matchAll(SEARCH_TOKEN_PATTERN)) {
+        const [token, field, op, rawValue, phrase, word] = match;
+        if (field) {
+            const name = field.toLowerCase();
+            const value = rawValue.replace(/^"|"$/g, '').trim();
+            // Comparisons only make sense for qty; "a>b" anywhere else is just text
+            if (SEARCH_FILTER_FIELDS.includes(name) && value && (op === ':' || name === 'qty')) {
+                filters.push({ field: name, op: op === '=' ? ':' : op, value });
+                continue;
+            }
+        }
+        const term = (phrase !== undefined ? phrase : word || token).trim().toLowerCase();
+        if (term) terms.push(term);
+    }
+    return { terms, filters };
+}
+
+/**
+ * Optimal string alignment distance: insertions, deletions, substitutions and swaps of two
+ * neighbouring letters each cost 1, so "cabel" is one edit from "cable". Stops early once the
+ * distance is known to exceed max.
+ * @returns {number} The distance, or max + 1 if it is larger than max.
+ */
+function getEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            row.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+function getAllowedTypos(term) {
+    if (term.length < SEARCH_FUZZY_MIN_LENGTH) return 0;
+    return term.length >= 8 ? 2 : 1;
+}
+
+// Words of a text with their positions, for fuzzy matching and highlighting
+function getSearchWords(text) {
+    return [...text.toLowerCase().matchAll(SEARCH_WORD_PATTERN)].map(m => ({ word: m[0], start: m.index }));
+}
+
+// How item names are compared for duplicates: case and repeated spaces are ignored
+function getNameKey(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Typo distance between a term and a word, also compared with the start of the word so
+ * "cabel" finds "cables".
+ * @returns {number} The distance, or allowed + 1 if it is larger.
+ */
+function getWordDistance(term, word, allowed) {
+    const distance = getEditDistance(term, word, allowed);
+    if (distance === 0 || word.length <= term.length) return distance;
+    return Math.min(distance, getEditDistance(term, word.slice(0, term.length), allowed));
+}
+
+/**
+ * Scores one term against a text: whole text > word start > inside a word > near miss.
+ * @returns {{score: number, ranges: number[][]}|null} ranges: [start, end) to highlight.
+ */
+function matchSearchTerm(term, text) {
+    const lower = text.toLowerCase();
+    const index = lower.indexOf(term);
+    if (index !== -1) {
+        const atWordStart = index === 0 || !/[a-z0-9]/.test(lower[index - 1]);
+        const score = lower === term ? 5 : (index === 0 ? 4 : atWordStart ? 3 : 2);
+        return { score, ranges: [[index, index + term.length]] };
+    }
+
+    const allowed = getAllowedTypos(term);
+    if (!allowed || /\s/.test(term)) return null;
+    let best = null;
+    for (const { word, start } of getSearchWords(text)) {
+        const distance = getWordDistance(term, word, allowed);
+        if (distance <= allowed && (!best || distance < best.distance)) {
+            best = { distance, ranges: [[start, start + word.length]] };
+        }
+    }
+    return best ? { score: 1.5 - best.distance * 0.5, ranges: best.ranges } : null;
+}
+
+function getShelfText(boxKey, boxData) {
+    const own = /^SHELF/i.test(boxKey) ? boxKey : '';
+    return [own, boxData.secondaryLocation || ''].join(' ').trim();
+}
+
+function compareQty(qty, op, value) {
+    const n = parseInt(value, 10);
+    if (Number.isNaN(n)) return false;
+    switch (op) {
+        case '>': return qty > n;
+        case '>=': return qty >= n;
+        case '<': return qty < n;
+        case '<=': return qty <= n;
+        default: return qty === n;
+    }
+}
+
+function matchStatus(boxKey, boxData, value) {
+    switch (value.toLowerCase()) {
+        case 'open': return !boxData.completed && !isMissingLocation(boxKey);
+        case 'done':
+        case 'complete':
+        case 'completed': return !!boxData.completed;
+        case 'missing': return isMissingLocation(boxKey);
+        default: return false;
+    }
+}
+
+// "2" matches SHELF 2 and SHELF 2A-2Z; "2c" only SHELF 2C
+function matchShelfNumber(value, boxKey, boxData) {
+    const wanted = normalizeShelfLocation(/^s/i.test(value) ? value : `SHELF ${value}`);
+    if (!wanted) {
+        return getShelfText(boxKey, boxData).toLowerCase().includes(value.replace(/^shelf\s*/, ''));
+    }
+    const withSections = /\d$/.test(wanted);
+    return [boxKey, boxData.secondaryLocation].some(location => {
+        const shelf = normalizeShelfLocation(location || '');
+        if (!shelf) return false;
+        return withSections ? shelf.replace(/[A-Z]+$/, '') === wanted : shelf === wanted;
+    });
+}
+
+// Filters about the location; these also apply to the items in it
+function matchBoxFilter(filter, boxKey, boxData) {
+    const value = filter.value.toLowerCase();
+    switch (filter.field) {
+        case 'box': return /\d/.test(value) ? boxKey === normalizeBoxNumber(value) : boxKey.toLowerCase().includes(value);
+        case 'shelf': return matchShelfNumber(value, boxKey, boxData);
+        case 'status': return matchStatus(boxKey, boxData, value);
+        default: return true;
+    }
+}
+
+function matchItemFilter(filter, item) {
+    const value = filter.value.toLowerCase();
+    switch (filter.field) {
+        case 'tag': return (item.tags || []).some(tag => tag.toLowerCase().includes(value));
+        case 'by': return (item.enteredBy || '').toLowerCase().includes(value);
+        case 'qty': return compareQty(item.qty || 1, filter.op, filter.value);
+        default: return true;
+    }
+}
+
+/**
+ * Scores an item: every term must match its name, a tag or its location, and at least one
+ * must match the name or a tag. Returns null if the item does not match.
+ */
+function scoreSearchItem(terms, item, boxKey, boxData) {
+    let score = 0;
+    let ranges = [];
+    let matchedItem = false;
+    const locationText = `${boxKey} ${boxData.secondaryLocation || ''}`;
+    for (const term of terms) {
+        const nameMatch = matchSearchTerm(term, item.name);
+        const tagMatch = (item.tags || []).some(tag => tag.toLowerCase().includes(term));
+        if (nameMatch) {
+            score += nameMatch.score;
+            ranges = ranges.concat(nameMatch.ranges);
+            matchedItem = true;
+        } else if (tagMatch) {
+            score += 1;
+            matchedItem = true;
+        } else if (locationText.toLowerCase().includes(term)) {
+            score += 0.5;
+        } else {
+            return null;
+        }
+    }
+    return matchedItem || !terms.length ? { score, ranges } : null;
+}
+
+// Locations score above items matched as well, so "box04" lists BOX040 before what is in it
+function scoreSearchLocation(terms, boxKey, boxData) {
+    let score = 0;
+    let ranges = [];
+    for (const term of terms) {
+        const keyMatch = matchSearchTerm(term, boxKey);
+        if (keyMatch && keyMatch.score >= 2) {
+            score += keyMatch.score + 1;
+            ranges = ranges.concat(keyMatch.ranges);
+        } else if ((boxData.secondaryLocation || '').toLowerCase().includes(term)) {
+            score += 2;
+        } else {
+            return null;
+        }
+    }
+    return { score, ranges };
+}
+
+/**
+ * Inverted index from words to the ids of the texts containing them.
+ * Ids can be any Map key (item ids, catalog entries).
+ */
+class TokenIndex {
+    constructor() {
+        this.postings = new Map(); // word -> Set of ids
+        this.docWords = new Map(); // id -> words, for removal
+    }
+
+    add(id, texts) {
+        this.remove(id);
+        const words = new Set(texts.flatMap(text => String(text || '').toLowerCase().match(SEARCH_WORD_PATTERN) || []));
+        for (const word of words) {
+            if (!this.postings.has(word)) this.postings.set(word, new Set());
+            this.postings.get(word).add(id);
+        }
+        this.docWords.set(id, [...words]);
+    }
+
+    remove(id) {
+        for (const word of this.docWords.get(id) || []) {
+            const ids = this.postings.get(word);
+            ids.delete(id);
+            if (!ids.size) this.postings.delete(word);
+        }
+        this.docWords.delete(id);
+    }
+
+    /**
+     * Ids of every text the term can match through matchSearchTerm: a text containing the
+     * term contains its longest word, and near misses are compared word by word.
+     * @returns {Set|null} Null if the term has no words to look up.
+     */
+    lookup(term) {
+        const parts = term.match(SEARCH_WORD_PATTERN);
+        if (!parts) return null;
+        const longest = parts.reduce((a, b) => (b.length > a.length ? b : a));
+        const allowed = /\s/.test(term) ? 0 : getAllowedTypos(term);
+        const ids = new Set();
+        for (const [word, wordIds] of this.postings) {
+            if (word.includes(longest) || (allowed && getWordDistance(term, word, allowed) <= allowed)) {
+                wordIds.forEach(id => ids.add(id));
+            }
+        }
+        return ids;
+    }
+}
+
+/**
+ * Search index over a session's items, built once when a session is loaded and then kept in
+ * step box by box as ops are applied.
+ */
+class SessionSearchIndex {
+    constructor() {
+        this.items = new Map(); // itemId -> { item, boxKey }
+        this.boxItems = new Map(); // boxKey -> Set of itemIds
+        this.words = new TokenIndex(); // Name and tag words
+        this.names = new Map(); // getNameKey(name) -> Set of itemIds
+        this.locations = new TokenIndex(); // boxKey -> box key and secondary location words
+    }
+
+    build(session) {
+        this.items = new Map();
+        this.boxItems = new Map();
+        this.words = new TokenIndex();
+        this.names = new Map();
+        this.locations = new TokenIndex();
+        this.updateBoxes(session, Object.keys(session.boxes || {}));
+    }
+
+    /**
+     * Re-reads the items and locations of some boxes; boxes no longer in the session are dropped.
+     * @param {Session} session
+     * @param {string[]} boxKeys
+     */
+    updateBoxes(session, boxKeys) {
+        // Everything goes out first: an item moved between two of these boxes keeps its id
+        for (const boxKey of boxKeys) {
+            for (const id of this.boxItems.get(boxKey) || []) this.removeItem(id);
+            this.boxItems.delete(boxKey);
+            this.locations.remove(boxKey);
+        }
+        for (const boxKey of boxKeys) {
+            const boxData = session.boxes && session.boxes[boxKey];
+            if (!boxData) continue;
+            this.locations.add(boxKey, [boxKey, boxData.secondaryLocation]);
+            if (!Array.isArray(boxData.items)) continue;
+            const ids = new Set();
+            for (const item of boxData.items) {
+                if (!item || !item.name) continue;
+                this.items.set(item.id, { item, boxKey });
+                this.words.add(item.id, [item.name, ...(item.tags || [])]);
+                const key = getNameKey(item.name);
+                if (!this.names.has(key)) this.names.set(key, new Set());
+                this.names.get(key).add(item.id);
+                ids.add(item.id);
+            }
+            this.boxItems.set(boxKey, ids);
+        }
+    }
+
+    removeItem(id) {
+        const doc = this.items.get(id);
+        if (!doc) return;
+        const key = getNameKey(doc.item.name);
+        const named = this.names.get(key);
+        if (named) {
+            named.delete(id);
+            if (!named.size) this.names.delete(key);
+        }
+        this.words.remove(id);
+        this.items.delete(id);
+    }
+
+    /**
+     * Items that may match any of the terms.
+     * @returns {Set|null} Null if a term cannot be looked up and every item has to be checked.
+     */
+    lookupTerms(terms) {
+        const ids = new Set();
+        for (const term of terms) {
+            const termIds = this.words.lookup(term);
+            if (!termIds) return null;
+            termIds.forEach(id => ids.add(id));
+        }
+        return ids;
+    }
+
+    /**
+     * Locations that may match every term through their box key or secondary location.
+     * @returns {Set|null} Null if a term cannot be looked up and every location has to be checked.
+     */
+    lookupLocations(terms) {
+        let boxKeys = null;
+        for (const term of terms) {
+            const termKeys = this.locations.lookup(term);
+            if (!termKeys) return null;
+            boxKeys = boxKeys ? new Set([...boxKeys].filter(boxKey => termKeys.has(boxKey))) : termKeys;
+        }
+        return boxKeys;
+    }
+
+    /**
+     * Items in a box with any of the given names (case and spacing ignored).
+     * @returns {Item[]}
+     */
+    findByName(boxKey, names) {
+        const found = [];
+        for (const name of names) {
+            for (const id of this.names.get(getNameKey(name)) || []) {
+                const doc = this.items.get(id);
+                if (doc.boxKey === boxKey && !found.includes(doc.item)) found.push(doc.item);
+            }
+        }
+        return found;
+    }
+}
+
+// Locations that may match: from the index when every term can be looked up there, else all of them
+function getSearchLocations(session, terms, index) {
+    const boxKeys = index && terms.length ? index.lookupLocations(terms) : null;
+    const all = Object.keys(session.boxes || {});
+    return boxKeys ? all.filter(boxKey => boxKeys.has(boxKey)) : all;
+}
+
+// Items that may match: from the index when every term can be looked up there, else all of them
+function* getSearchCandidates(session, terms, index) {
+    const ids = index && terms.length ? index.lookupTerms(terms) : null;
+    if (ids) {
+        for (const id of ids) {
+            if (index.items.has(id)) yield index.items.get(id);
+        }
+        return;
+    }
+    for (const [boxKey, boxData] of Object.entries(session.boxes || {})) {
+        for (const item of (boxData && boxData.items) || []) yield { item, boxKey };
+    }
+}
+
+/**
+ * Runs a query against a session's boxes.
+ * @param {Session} session
+ * @param {string} text - Query typed in the search box.
+ * @param {number} [limit]
+ * @param {SessionSearchIndex} [index] - Index of the session; without it every item is checked.
+ * @returns {SearchResult[]} Best first; ties keep box and item order.
+ */
+function searchSession(session, text, limit = 50, index = null) {
+    const { terms, filters } = parseSearchQuery(text);
+    if (!terms.length && !filters.length) return [];
+    const itemFilters = filters.filter(f => SEARCH_ITEM_FIELDS.includes(f.field));
+    const boxFilters = filters.filter(f => !SEARCH_ITEM_FIELDS.includes(f.field));
+    const boxOrder = new Map(Object.keys(session.boxes || {}).map((boxKey, i) => [boxKey, i]));
+    const results = [];
+
+    // Item filters ask for items, so locations are only listed without them
+    if (!itemFilters.length) {
+        for (const boxKey of getSearchLocations(session, terms, index)) {
+            const boxData = session.boxes[boxKey];
+            if (!boxData || !boxFilters.every(filter => matchBoxFilter(filter, boxKey, boxData))) continue;
+            const location = terms.length ? scoreSearchLocation(terms, boxKey, boxData) : { score: 0, ranges: [] };
+            if (location) {
+                results.push({ type: 'location', location: boxKey, secondaryLocation: boxData.secondaryLocation || '', score: location.score, highlights: location.ranges, order: [boxOrder.get(boxKey), -1] });
+            }
+        }
+    }
+
+    // A filter-only query about boxes lists the boxes, not everything in them
+    if (terms.length || itemFilters.length) {
+        for (const { item, boxKey } of getSearchCandidates(session, terms, index)) {
+            const boxData = session.boxes[boxKey];
+            if (!boxData || !item || !item.name) continue;
+            if (!boxFilters.every(filter => matchBoxFilter(filter, boxKey, boxData))) continue;
+            if (!itemFilters.every(filter => matchItemFilter(filter, item))) continue;
+            const match = scoreSearchItem(terms, item, boxKey, boxData);
+            if (!match) continue;
+            results.push({
+                type: 'item',
+                itemId: item.id,
+                name: item.name,
+                qty: item.qty || 1,
+                tags: item.tags || [],
+                location: boxKey,
+                secondaryLocation: boxData.secondaryLocation || '',
+                score: match.score,
+                highlights: match.ranges,
+                order: [boxOrder.get(boxKey), boxData.items.indexOf(item)]
+            });
+        }
+    }
+
+    return results
+        .sort((a, b) => b.score - a.score || a.order[0] - b.order[0] || a.order[1] - b.order[1])
+        .slice(0, limit)
+        .map(({ order, ...result }) => result);
+}
+
+window.BoxSearch = {
+    parseSearchQuery,
+    matchSearchTerm,
+    getNameKey,
+    TokenIndex,
+    SessionSearchIndex,
+    searchSession
+};
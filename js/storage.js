@@ -0,0 +1,516 @@
+/**
+ * Storage Backends Module
+ * Async, pluggable persistence for sessions: Electron file, IndexedDB and localStorage.
+ *
+ * Every backend implements:
+ *   load(sessionId?)  -> Promise<Session|null>   No id loads the last active session.
+ *   save(session)     -> Promise<void>           Rejects if the data was not persisted.
+ *   list()            -> Promise<SessionSummary[]>
+ *   delete(sessionId) -> Promise<void>
+ * and may add read/rename/archive/backup/listBackups/restoreBackup where the medium supports them.
+ * read(sessionId) loads a session without making it the active one.
+ * Backends with supportsPhotos also keep photo files per session:
+ *   savePhoto(sessionId, fileName, bytes) -> Promise<void>
+ *   readPhoto(sessionId, fileName)        -> Promise<Uint8Array|null>
+ */
+
+const LOCAL_STORAGE_KEY = 'boxAuditSession';
+const SESSION_BACKUP_KEY = 'boxAuditSession_backup';
+// One pre-migration copy at a time; older builds kept one per session id under this prefix
+const PRE_MIGRATION_BACKUP_KEY = 'boxAuditSession_preMigration';
+const IDB_NAME = 'boxAudit';
+const IDB_VERSION = 3;
+// Pre-migration backups kept per session in the IndexedDB backups store
+const IDB_BACKUP_KEEP = 3;
+// Typical per-origin localStorage limit; browsers do not report the real one
+const LOCAL_STORAGE_QUOTA_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Builds the summary row shown in the session library.
+ * @param {Session} session
+ * @param {Object} [extra] - Backend-specific fields (active, archived, updatedAt).
+ * @returns {SessionSummary}
+ */
+function summarizeSessionData(session, extra = {}) {
+    const boxes = session && session.boxes ? Object.values(session.boxes) : [];
+    return {
+        id: session.id,
+        name: session.name || null,
+        startedAt: session.startedAt || null,
+        updatedAt: extra.updatedAt || null,
+        boxCount: boxes.length,
+        itemCount: boxes.reduce((sum, box) => sum + (Array.isArray(box.items) ? box.items.length : 0), 0),
+        active: !!extra.active,
+        archived: !!extra.archived,
+        readable: true
+    };
+}
+
+/**
+ * Reports how much of the origin's storage quota is in use.
+ * @returns {Promise<{usage: number, quota: number}|null>} Null where the browser can't tell.
+ */
+async function estimateOriginUsage() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+    const { usage, quota } = await navigator.storage.estimate();
+    return typeof usage === 'number' && quota ? { usage, quota } : null;
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+
+// --- Electron File System ---
+
+class ElectronFileStorage {
+    constructor(api) {
+        this.api = api;
+        this.name = 'file';
+        this.supportsLibrary = true;
+        this.supportsPhotos = !!api.savePhoto;
+    }
+
+    async load(sessionId) {
+        return sessionId ? this.api.openSession(sessionId) : this.api.loadData();
+    }
+
+    async read(sessionId) {
+        return this.api.readSession(sessionId);
+    }
+
+    async save(session) {
+        const ok = await this.api.saveData(session);
+        if (!ok) throw new Error('Could not write the session file');
+    }
+
+    async list() {
+        return this.api.listSessions();
+    }
+
+    async delete(sessionId) {
+        ElectronFileStorage.check(await this.api.deleteSession(sessionId));
+    }
+
+    async rename(sessionId, name) {
+        ElectronFileStorage.check(await this.api.renameSession(sessionId, name));
+    }
+
+    async archive(sessionId, archived) {
+        ElectronFileStorage.check(await this.api.archiveSession(sessionId, archived));
+    }
+
+    async backup(session) {
+        await this.api.backupData(session.id);
+    }
+
+    async listBackups(sessionId) {
+        return this.api.listBackups(sessionId);
+    }
+
+    async restoreBackup(sessionId, backupFile) {
+        return this.api.restoreBackup(sessionId, backupFile);
+    }
+
+    async savePhoto(sessionId, fileName, bytes) {
+        ElectronFileStorage.check(await this.api.savePhoto(sessionId, fileName, bytes));
+    }
+
+    async readPhoto(sessionId, fileName) {
+        const bytes = await this.api.readPhoto(sessionId, fileName);
+        return bytes ? new Uint8Array(bytes) : null;
+    }
+
+    // Library IPC handlers answer { ok, error } rather than throwing across the bridge
+    static check(result) {
+        if (result && !result.ok) throw new Error(result.error || 'Operation failed');
+    }
+}
+
+
+// --- IndexedDB ---
+
+/*
+ * Layout (version 2):
+ *   sessions: session fields except boxes, plus boxOrder/boxCount/itemCount/updatedAt
+ *   boxes:    one record per box, keyed [sessionId, boxKey]
+ *   photos:   photo files, keyed [sessionId, fileName] (version 3)
+ * Saving diffs each box against what was last written, so adding an item rewrites
+ * one box record and the small session record instead of the whole audit.
+ */
+class IndexedDBStorage {
+    constructor() {
+        this.name = 'indexeddb';
+        this.supportsLibrary = true;
+        this.supportsPhotos = true;
+        this.dbPromise = null;
+        // sessionId -> Map(boxKey -> JSON last written), primed by load() and save()
+        this.writtenBoxes = new Map();
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+            request.onupgradeneeded = (event) => IndexedDBStorage.upgrade(request, event.oldVersion);
+            this.dbPromise = idbRequest(request)
+                .then(db => this.migrateFromLocalStorage(db).then(() => db));
+        }
+        return this.dbPromise;
+    }
+
+    static upgrade(request, oldVersion) {
+        const db = request.result;
+        if (oldVersion < 1) {
+            db.createObjectStore('sessions', { keyPath: 'id' });
+            db.createObjectStore('meta');
+            db.createObjectStore('backups', { autoIncrement: true });
+        }
+        if (oldVersion < 2) {
+            const boxes = db.createObjectStore('boxes', { keyPath: ['sessionId', 'boxKey'] });
+            boxes.createIndex('bySession', 'sessionId');
+            // Version 1 kept the whole session in one record; split it into box records
+            const sessions = request.transaction.objectStore('sessions');
+            sessions.openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                const record = cursor.value;
+                if (record.data) {
+                    for (const [boxKey, data] of Object.entries(record.data.boxes || {})) {
+                        boxes.put({ sessionId: record.id, boxKey, data });
+                    }
+                    cursor.update(IndexedDBStorage.sessionRecord(record.data, record.updatedAt));
+                }
+                cursor.continue();
+            };
+        }
+        if (oldVersion < 3) {
+            db.createObjectStore('photos', { keyPath: ['sessionId', 'fileName'] });
+        }
+    }
+
+    static sessionRecord(session, updatedAt) {
+        const { boxes, ...fields } = session;
+        const boxList = Object.values(boxes || {});
+        return {
+            ...fields,
+            boxOrder: Object.keys(boxes || {}),
+            boxCount: boxList.length,
+            itemCount: boxList.reduce((sum, box) => sum + (Array.isArray(box.items) ? box.items.length : 0), 0),
+            updatedAt: updatedAt || new Date().toISOString()
+        };
+    }
+
+    /**
+     * One-time import of the session the localStorage build kept under boxAuditSession.
+     * The key is removed only after the session reads back from IndexedDB.
+     */
+    async migrateFromLocalStorage(db) {
+        if (await idbRequest(db.transaction('meta').objectStore('meta').get('localStorageMigrated'))) return;
+        
+        let stored = null;
+        try {
+            stored = localStorage.getItem(LOCAL_STORAGE_KEY) || sessionStorage.getItem(SESSION_BACKUP_KEY);
+        } catch (e) {}
+        
+        let session = null;
+        try {
+            session = stored ? JSON.parse(stored) : null;
+        } catch (e) {
+            console.warn('Skipping unreadable localStorage session:', e);
+        }
+        
+        if (session && session.boxes && typeof session.boxes === 'object') {
+            if (!session.id) {
+                session.id = `session-${(session.startedAt || new Date().toISOString()).replace(/[:.]/g, '-')}`;
+            }
+            await this.writeSession(db, session, true);
+            const readBack = await idbRequest(db.transaction('sessions').objectStore('sessions').get(session.id));
+            if (!readBack) throw new Error('localStorage migration could not be verified');
+            localStorage.removeItem(LOCAL_STORAGE_KEY);
+            sessionStorage.removeItem(SESSION_BACKUP_KEY);
+            console.log(`✓ Moved session ${session.id} from localStorage to IndexedDB`);
+        }
+        
+        const tx = db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put(true, 'localStorageMigrated');
+        await IndexedDBStorage.done(tx);
+    }
+
+    async getMeta(key, fallback) {
+        const db = await this.open();
+        const value = await idbRequest(db.transaction('meta').objectStore('meta').get(key));
+        return value === undefined ? fallback : value;
+    }
+
+    async setMeta(key, value) {
+        const db = await this.open();
+        const tx = db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put(value, key);
+        await IndexedDBStorage.done(tx);
+    }
+
+    async load(sessionId) {
+        const id = sessionId || await this.getMeta('activeSessionId', null);
+        if (!id) return null;
+        const session = await this.read(id, true);
+        if (session && sessionId) await this.setMeta('activeSessionId', sessionId);
+        return session;
+    }
+
+    /**
+     * @param {boolean} [track] - Remember the box records read, so the next save only writes changes.
+     *   Set when the session is being opened for editing.
+     */
+    async read(id, track = false) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'boxes']);
+        const record = await idbRequest(tx.objectStore('sessions').get(id));
+        if (!record) return null;
+        const boxRecords = await idbRequest(tx.objectStore('boxes').index('bySession').getAll(id));
+        
+        const { boxOrder, boxCount, itemCount, updatedAt, ...session } = record;
+        const byKey = new Map(boxRecords.map(r => [r.boxKey, r.data]));
+        const orderedKeys = [...(boxOrder || []).filter(k => byKey.has(k)), ...[...byKey.keys()].filter(k => !(boxOrder || []).includes(k))];
+        session.boxes = {};
+        const written = new Map();
+        for (const boxKey of orderedKeys) {
+            session.boxes[boxKey] = byKey.get(boxKey);
+            if (track) written.set(boxKey, JSON.stringify(byKey.get(boxKey)));
+        }
+        if (track) this.writtenBoxes.set(id, written);
+        return session;
+    }
+
+    async save(session) {
+        const db = await this.open();
+        await this.writeSession(db, session, true);
+    }
+
+    // Writes the session record plus only the box records that changed since the last write
+    async writeSession(db, session, makeActive) {
+        const previous = this.writtenBoxes.get(session.id) || new Map();
+        const next = new Map();
+        const tx = db.transaction(['sessions', 'boxes', 'meta'], 'readwrite');
+        const boxStore = tx.objectStore('boxes');
+        
+        for (const [boxKey, data] of Object.entries(session.boxes || {})) {
+            const json = JSON.stringify(data);
+            next.set(boxKey, json);
+            if (previous.get(boxKey) !== json) {
+                boxStore.put({ sessionId: session.id, boxKey, data });
+            }
+        }
+        for (const boxKey of previous.keys()) {
+            if (!next.has(boxKey)) boxStore.delete([session.id, boxKey]);
+        }
+        
+        tx.objectStore('sessions').put(IndexedDBStorage.sessionRecord(session));
+        if (makeActive) tx.objectStore('meta').put(session.id, 'activeSessionId');
+        await IndexedDBStorage.done(tx);
+        this.writtenBoxes.set(session.id, next);
+    }
+
+    async list() {
+        const db = await this.open();
+        const records = await idbRequest(db.transaction('sessions').objectStore('sessions').getAll());
+        const activeId = await this.getMeta('activeSessionId', null);
+        const archived = await this.getMeta('archived', []);
+        return records
+            .map(record => ({
+                id: record.id,
+                name: record.name || null,
+                startedAt: record.startedAt || null,
+                updatedAt: record.updatedAt || null,
+                boxCount: record.boxCount || 0,
+                itemCount: record.itemCount || 0,
+                active: record.id === activeId,
+                archived: archived.includes(record.id),
+                readable: true
+            }))
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    }
+
+    async delete(sessionId) {
+        if (sessionId === await this.getMeta('activeSessionId', null)) {
+            throw new Error('Switch to another session before deleting this one');
+        }
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'boxes', 'photos'], 'readwrite');
+        tx.objectStore('sessions').delete(sessionId);
+        tx.objectStore('boxes').delete(IDBKeyRange.bound([sessionId], [sessionId, []]));
+        tx.objectStore('photos').delete(IDBKeyRange.bound([sessionId], [sessionId, []]));
+        await IndexedDBStorage.done(tx);
+        this.writtenBoxes.delete(sessionId);
+        await this.archive(sessionId, false);
+    }
+
+    async rename(sessionId, name) {
+        const db = await this.open();
+        const tx = db.transaction('sessions', 'readwrite');
+        const store = tx.objectStore('sessions');
+        const record = await idbRequest(store.get(sessionId));
+        if (!record) throw new Error('Session not found');
+        record.name = name || null;
+        store.put(record);
+        await IndexedDBStorage.done(tx);
+    }
+
+    async archive(sessionId, archived) {
+        if (archived && sessionId === await this.getMeta('activeSessionId', null)) {
+            throw new Error('Switch to another session before archiving this one');
+        }
+        const list = (await this.getMeta('archived', [])).filter(id => id !== sessionId);
+        if (archived) list.push(sessionId);
+        await this.setMeta('archived', list);
+    }
+
+    async backup(session) {
+        const db = await this.open();
+        const tx = db.transaction('backups', 'readwrite');
+        const store = tx.objectStore('backups');
+        store.add({ sessionId: session.id, createdAt: new Date().toISOString(), data: session });
+        
+        // Keys grow with each backup, so the session's oldest ones come first
+        const keys = [];
+        const cursorRequest = store.openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+                if (cursor.value.sessionId === session.id) keys.push(cursor.key);
+                cursor.continue();
+            } else {
+                keys.slice(0, Math.max(0, keys.length - IDB_BACKUP_KEEP)).forEach(key => store.delete(key));
+            }
+        };
+        await IndexedDBStorage.done(tx);
+    }
+
+    async savePhoto(sessionId, fileName, bytes) {
+        const db = await this.open();
+        const tx = db.transaction('photos', 'readwrite');
+        tx.objectStore('photos').put({ sessionId, fileName, bytes });
+        await IndexedDBStorage.done(tx);
+    }
+
+    async readPhoto(sessionId, fileName) {
+        const db = await this.open();
+        const record = await idbRequest(db.transaction('photos').objectStore('photos').get([sessionId, fileName]));
+        return record ? new Uint8Array(record.bytes) : null;
+    }
+
+    async estimateUsage() {
+        return estimateOriginUsage();
+    }
+
+    static done(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+
+// --- localStorage (single session) ---
+
+class LocalStorageStorage {
+    constructor() {
+        this.name = 'localstorage';
+        this.supportsLibrary = false;
+        this.supportsPhotos = false; // Photos would use up the few MB localStorage has
+    }
+
+    async load() {
+        let stored = localStorage.getItem(LOCAL_STORAGE_KEY);
+        if (!stored) {
+            stored = sessionStorage.getItem(SESSION_BACKUP_KEY);
+            if (stored) {
+                localStorage.setItem(LOCAL_STORAGE_KEY, stored);
+            }
+        }
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async save(session) {
+        const dataToSave = JSON.stringify(session);
+        try {
+            localStorage.setItem(LOCAL_STORAGE_KEY, dataToSave);
+            const verify = localStorage.getItem(LOCAL_STORAGE_KEY);
+            if (!verify || verify !== dataToSave) {
+                throw new Error('Verification failed');
+            }
+        } catch (e) {
+            sessionStorage.setItem(SESSION_BACKUP_KEY, dataToSave);
+            throw new Error('Data saved to session backup only (Persistence failed).');
+        }
+        // The migrated session is stored now; a second full copy would halve the room left
+        LocalStorageStorage.removePreMigrationBackups();
+    }
+
+    async list() {
+        const session = await this.load();
+        return session ? [summarizeSessionData(session, { active: true })] : [];
+    }
+
+    async delete(sessionId) {
+        const session = await this.load();
+        if (session && session.id === sessionId) {
+            localStorage.removeItem(LOCAL_STORAGE_KEY);
+        }
+    }
+
+    // Rejects when the copy does not fit, so the caller can tell the user before migrating
+    async backup(session) {
+        LocalStorageStorage.removePreMigrationBackups();
+        localStorage.setItem(PRE_MIGRATION_BACKUP_KEY, JSON.stringify(session));
+    }
+
+    static removePreMigrationBackups() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key === PRE_MIGRATION_BACKUP_KEY || key.startsWith(`${PRE_MIGRATION_BACKUP_KEY}_`)) keys.push(key);
+        }
+        keys.forEach(key => localStorage.removeItem(key));
+    }
+
+    // localStorage stores UTF-16, so each character costs two bytes
+    async estimateUsage() {
+        let chars = 0;
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            chars += key.length + (localStorage.getItem(key) || '').length;
+        }
+        return { usage: chars * 2, quota: LOCAL_STORAGE_QUOTA_BYTES };
+    }
+}
+
+
+/**
+ * Picks the storage backend for this environment.
+ * The browser build prefers IndexedDB; CONFIG.STORAGE_BACKEND may force 'localstorage'.
+ * @returns {ElectronFileStorage|IndexedDBStorage|LocalStorageStorage}
+ */
+function createStorageBackend() {
+    if (window.electronAPI && window.electronAPI.saveData) {
+        return new ElectronFileStorage(window.electronAPI);
+    }
+    const preferred = (window.CONFIG && window.CONFIG.STORAGE_BACKEND) || 'auto';
+    if (preferred !== 'localstorage' && window.indexedDB) {
+        return new IndexedDBStorage();
+    }
+    return new LocalStorageStorage();
+}
+
+window.BoxStorage = {
+    ElectronFileStorage,
+    IndexedDBStorage,
+    LocalStorageStorage,
+    createStorageBackend,
+    summarizeSessionData,
+    estimateOriginUsage
+};
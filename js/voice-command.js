@@ -54,6 +54,15 @@ function initSpeechRecognition() {
 function processVoiceCommand(transcript) {
     const raw = transcript.toLowerCase().trim();
     
+    // Command: "Operator Sam" -> switch who is entering items
+    const operatorMatch = raw.match(/^(?:switch |set |change )?operator(?: to| is)?\s+(.+)$/i);
+    if (operatorMatch && window.setOperator) {
+        const name = operatorMatch[1].trim();
+        window.setOperator(name.charAt(0).toUpperCase() + name.slice(1));
+        flashFeedback(`Operator ${window.getOperator ? window.getOperator() : name}`);
+        return;
+    }
+    
     // Command 1: "Box [Number]" or "Shelf [Number]" -> Location Switch
     // Regex looking for "box 45", "shelf 2c", "box number 50"
     const locationMatch = raw.match(/(?:go to |open |switch to )?(box|shelf|s)\s*(?:number\s*)?(\w+)/i);
@@ -212,7 +221,7 @@ function updateContextDisplay() {
     banner.style.display = 'flex';
     banner.innerHTML = `
         <span style="opacity: 0.7; margin-right: 0.5rem;">Active Context:</span>
-        ${activeContext.tags.map(t => `<span class="context-tag">${t}</span>`).join('')}
+        ${activeContext.tags.map(t => `<span class="context-tag">${escapeHtml(t)}</span>`).join('')}
         <button class="context-clear-btn" onclick="clearContext()">×</button>
     `;
     
@@ -226,6 +235,13 @@ function clearContext() {
 }
 window.clearContext = clearContext;
 
+// Replaces the context tags; used by the keyboard "#Tag" command and the tag manager
+function setContextTags(tags) {
+    activeContext.tags = [...tags];
+    updateContextDisplay();
+}
+window.setContextTags = setContextTags;
+
 function toggleListening() {
     if (!recognition) {
         recognition = initSpeechRecognition();
@@ -0,0 +1,164 @@
+/**
+ * Zip Module
+ * Builds a .zip archive in memory for the session export (session JSON plus photo files), and reads
+ * one back for the import. Entries are written uncompressed: photos are already compressed, and the
+ * archive stays readable by any unzip tool without pulling in a compression library.
+ */
+
+const ZIP_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function getZipCrc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ZIP_CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date and time fields, in local time as unzip tools expect
+function getZipDosTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * @param {{name: string, data: Uint8Array|string, date?: Date}[]} entries - Paths use "/" (e.g., "photos/p1.jpg");
+ *   string data is written as UTF-8.
+ * @returns {Uint8Array} The .zip file.
+ */
+function createZip(entries) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = encoder.encode(entry.name);
+        const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+        const crc = getZipCrc32(data);
+        const { time, date } = getZipDosTime(entry.date || new Date());
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed to extract
+        local.setUint16(6, 0x0800, true); // Flags: names are UTF-8
+        local.setUint16(8, 0, true); // Method: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Central directory header signature
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true); // Offset of the local header
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // End of central directory signature
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip;
+}
+
+// Inflates a deflated entry, e.g. from an export that was unpacked and zipped again by another tool
+async function inflateZipEntry(bytes) {
+    if (typeof DecompressionStream !== 'function') {
+        throw new Error('Compressed zip entries cannot be read here; zip the files without compression');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads the files of a .zip archive (stored or deflated entries; folders are skipped).
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Promise<{name: string, data: Uint8Array}[]>}
+ */
+async function readZip(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    
+    // The end record sits at the end, after an optional comment of up to 64 KB
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('Not a zip file');
+    
+    const entries = [];
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(position, true) !== 0x02014B50) throw new Error('Damaged zip file');
+        const method = view.getUint16(position + 10, true);
+        const crc = view.getUint32(position + 16, true);
+        const compressedSize = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+        if (name.endsWith('/')) continue;
+        
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+        let data;
+        if (method === 0) data = raw.slice();
+        else if (method === 8) data = await inflateZipEntry(raw);
+        else throw new Error(`Unsupported compression in zip entry ${name}`);
+        if (getZipCrc32(data) !== crc) throw new Error(`Damaged zip entry ${name}`);
+        entries.push({ name, data });
+    }
+    return entries;
+}
+
+window.BoxZip = {
+    createZip,
+    readZip,
+    getZipCrc32
+};
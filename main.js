@@ -1,10 +1,42 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const http = require('http');
+const os = require('os');
 
 // Keep a global reference of the window object
 let mainWindow;
 
+// Mobile remote server (serves remote/mobile.html and its /api/* routes)
+const REMOTE_PORT = Number(process.env.BOX_AUDIT_PORT) || 8787;
+const REMOTE_DIR = path.join(__dirname, 'remote');
+const REMOTE_TIMEOUT_MS = 5000;
+const REMOTE_MAX_BODY_BYTES = 1024 * 1024;
+const REMOTE_HEARTBEAT_MS = 25000;
+
+// Portable data directory (set once the app is ready)
+let dataDir = null;
+const LIBRARY_FILE = 'library.json';
+const LEGACY_DATA_FILE = 'box-audit-data.json';
+const LEGACY_MIGRATED_FILE = 'box-audit-data.migrated.json';
+const SESSION_ID_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// Rotating backups: a copy of the live file is kept at most every BACKUP_INTERVAL_MS
+const BACKUP_DIR = 'backups';
+const BACKUP_KEEP = 10;
+const BACKUP_INTERVAL_MS = 5 * 60 * 1000;
+const BACKUP_FILE_PATTERN = /^[0-9TZ-]+\.json$/;
+
+// Photo attachments: photos/<sessionId>/<photoId>.<ext>, with a <photoId>.thumb.jpg beside each
+const PHOTOS_DIR = 'photos';
+const PHOTO_FILE_PATTERN = /^[A-Za-z0-9_-]+(\.thumb)?\.(jpg|png|gif|webp)$/;
+const PHOTO_MAX_BYTES = 25 * 1024 * 1024;
+
+let remoteServer = null;
+let remoteRequestSeq = 0;
+const pendingRemoteRequests = new Map();
+const remoteEventClients = new Set();
+
 function createWindow() {
   // Create the browser window
   mainWindow = new BrowserWindow({
@@ -34,22 +66,574 @@ function createWindow() {
   });
 }
 
+// --- Crash-Safe Writes & Backups ---
+
+// Writes to a temp file, fsyncs it, then renames it over the target so a crash
+// mid-write leaves either the old file or the new one, never a truncated mix.
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp-${process.pid}`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    if (Buffer.isBuffer(content)) fs.writeSync(fd, content);
+    else fs.writeSync(fd, content, null, 'utf-8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+function backupDirFor(sessionId) {
+  sessionFilePath(sessionId);
+  return path.join(dataDir, BACKUP_DIR, sessionId);
+}
+
+// Newest first
+function listBackupFiles(sessionId) {
+  const dir = backupDirFor(sessionId);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((file) => BACKUP_FILE_PATTERN.test(file))
+    .sort()
+    .reverse();
+}
+
+function backupTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Copies the live session file into the backup rotation and prunes the oldest copies
+function backupSessionFile(sessionId, force) {
+  const livePath = sessionFilePath(sessionId);
+  if (!fs.existsSync(livePath)) return null;
+
+  const dir = backupDirFor(sessionId);
+  const existing = listBackupFiles(sessionId);
+  if (!force && existing.length) {
+    const newestAge = Date.now() - fs.statSync(path.join(dir, existing[0])).mtimeMs;
+    if (newestAge < BACKUP_INTERVAL_MS) return null;
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const backupFile = `${backupTimestamp()}.json`;
+  fs.copyFileSync(livePath, path.join(dir, backupFile));
+  for (const stale of listBackupFiles(sessionId).slice(BACKUP_KEEP)) {
+    try {
+      fs.unlinkSync(path.join(dir, stale));
+    } catch {}
+  }
+  return backupFile;
+}
+
+function readBackupFile(sessionId, backupFile) {
+  if (!BACKUP_FILE_PATTERN.test(backupFile)) {
+    throw new Error(`Invalid backup name: ${backupFile}`);
+  }
+  return JSON.parse(fs.readFileSync(path.join(backupDirFor(sessionId), backupFile), 'utf-8'));
+}
+
+function isSessionShape(data) {
+  return !!data && typeof data === 'object' && !!data.boxes && typeof data.boxes === 'object';
+}
+
+function notifyUser(type, message, detail) {
+  const options = { type, title: 'Box Audit', message, detail, buttons: ['OK'] };
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    dialog.showMessageBox(mainWindow, options);
+  } else {
+    dialog.showMessageBox(options);
+  }
+}
+
+// Reads a session; if the live file fails to parse, falls back to the newest valid backup
+// and moves the broken file aside as <id>.json.corrupt so the next save cannot lose it.
+function readSessionFile(sessionId) {
+  const livePath = sessionFilePath(sessionId);
+  if (!fs.existsSync(livePath)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(livePath, 'utf-8'));
+    if (isSessionShape(data)) return data;
+  } catch {}
+
+  for (const backupFile of listBackupFiles(sessionId)) {
+    try {
+      const data = readBackupFile(sessionId, backupFile);
+      if (!isSessionShape(data)) continue;
+      try {
+        fs.renameSync(livePath, `${livePath}.corrupt`);
+      } catch {}
+      writeFileAtomic(livePath, JSON.stringify(data));
+      notifyUser(
+        'warning',
+        'The audit file could not be read and was restored from a backup.',
+        `Session: ${sessionId}\nRestored backup: ${backupFile}\nThe unreadable file was kept as ${path.basename(livePath)}.corrupt`
+      );
+      return data;
+    } catch {}
+  }
+
+  notifyUser(
+    'error',
+    'The audit file could not be read and no valid backup was found.',
+    `Session: ${sessionId}\nFile: ${livePath}`
+  );
+  return null;
+}
+
+// --- Session Library ---
+
+// Each session lives in its own <id>.json file in the data directory.
+// library.json only tracks which session is active and which are archived.
+function readLibrary() {
+  try {
+    const raw = fs.readFileSync(path.join(dataDir, LIBRARY_FILE), 'utf-8');
+    const parsed = JSON.parse(raw);
+    return {
+      activeSessionId: parsed.activeSessionId || null,
+      archived: Array.isArray(parsed.archived) ? parsed.archived : []
+    };
+  } catch {
+    return { activeSessionId: null, archived: [] };
+  }
+}
+
+function writeLibrary(library) {
+  writeFileAtomic(path.join(dataDir, LIBRARY_FILE), JSON.stringify(library, null, 2));
+}
+
+function sessionFilePath(sessionId) {
+  if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+    throw new Error(`Invalid session id: ${sessionId}`);
+  }
+  return path.join(dataDir, `${sessionId}.json`);
+}
+
+function photoDirFor(sessionId) {
+  sessionFilePath(sessionId);
+  return path.join(dataDir, PHOTOS_DIR, sessionId);
+}
+
+function photoFilePath(sessionId, fileName) {
+  if (typeof fileName !== 'string' || !PHOTO_FILE_PATTERN.test(fileName)) {
+    throw new Error(`Invalid photo name: ${fileName}`);
+  }
+  return path.join(photoDirFor(sessionId), fileName);
+}
+
+function writeSessionFile(session) {
+  try {
+    backupSessionFile(session.id, false);
+  } catch (err) {
+    console.error('Backup failed:', err.message);
+  }
+  writeFileAtomic(sessionFilePath(session.id), JSON.stringify(session));
+}
+
+function listSessionIds() {
+  return fs.readdirSync(dataDir)
+    .filter((file) => file.endsWith('.json'))
+    .filter((file) => ![LIBRARY_FILE, LEGACY_DATA_FILE, LEGACY_MIGRATED_FILE].includes(file))
+    .map((file) => file.slice(0, -'.json'.length))
+    .filter((id) => SESSION_ID_PATTERN.test(id));
+}
+
+function setActiveSession(sessionId) {
+  const library = readLibrary();
+  if (library.activeSessionId === sessionId) return;
+  library.activeSessionId = sessionId;
+  library.archived = library.archived.filter((id) => id !== sessionId);
+  writeLibrary(library);
+}
+
+// Moves the single pre-library box-audit-data.json into the library as its own session
+function migrateLegacyDataFile() {
+  const legacyPath = path.join(dataDir, LEGACY_DATA_FILE);
+  if (!fs.existsSync(legacyPath)) return;
+  try {
+    const data = JSON.parse(fs.readFileSync(legacyPath, 'utf-8'));
+    if (!data || typeof data !== 'object') return;
+    if (!data.id || !SESSION_ID_PATTERN.test(data.id)) {
+      const startedAt = data.startedAt || new Date().toISOString();
+      data.id = `session-${startedAt.replace(/[:.]/g, '-')}`;
+    }
+    if (!fs.existsSync(sessionFilePath(data.id))) {
+      writeSessionFile(data);
+    }
+    fs.renameSync(legacyPath, path.join(dataDir, LEGACY_MIGRATED_FILE));
+    if (!readLibrary().activeSessionId) {
+      setActiveSession(data.id);
+    }
+  } catch (err) {
+    console.error('Legacy data migration failed:', err.message);
+  }
+}
+
+function summarizeSession(sessionId, library) {
+  const filePath = sessionFilePath(sessionId);
+  const stat = fs.statSync(filePath);
+  let data = null;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {}
+  const boxes = data && data.boxes && typeof data.boxes === 'object' ? Object.values(data.boxes) : [];
+  return {
+    id: sessionId,
+    name: (data && data.name) || null,
+    startedAt: (data && data.startedAt) || null,
+    updatedAt: stat.mtime.toISOString(),
+    boxCount: boxes.length,
+    itemCount: boxes.reduce((sum, box) => sum + (Array.isArray(box.items) ? box.items.length : 0), 0),
+    active: library.activeSessionId === sessionId,
+    archived: library.archived.includes(sessionId),
+    readable: !!data
+  };
+}
+
+function registerSessionHandlers() {
+  ipcMain.handle('list-sessions', () => {
+    const library = readLibrary();
+    return listSessionIds()
+      .map((id) => summarizeSession(id, library))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  });
+
+  ipcMain.handle('open-session', (event, sessionId) => {
+    try {
+      const data = readSessionFile(sessionId);
+      if (!data) return null;
+      setActiveSession(sessionId);
+      return data;
+    } catch (err) {
+      console.error('Open session failed:', err.message);
+      return null;
+    }
+  });
+
+  // Reads another session without making it active (e.g. to build the item catalog)
+  ipcMain.handle('read-session', (event, sessionId) => {
+    try {
+      return readSessionFile(sessionId);
+    } catch (err) {
+      console.error('Read session failed:', err.message);
+      return null;
+    }
+  });
+
+  // The active session is renamed by the renderer (it owns that file); this handles the rest
+  ipcMain.handle('rename-session', (event, sessionId, name) => {
+    try {
+      if (readLibrary().activeSessionId === sessionId) {
+        return { ok: false, error: 'Rename the active session from the desktop window' };
+      }
+      const data = readSessionFile(sessionId);
+      if (!data) return { ok: false, error: 'Session not found' };
+      data.name = String(name || '').trim() || null;
+      writeSessionFile(data);
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('archive-session', (event, sessionId, archived) => {
+    try {
+      sessionFilePath(sessionId);
+      const library = readLibrary();
+      if (archived && library.activeSessionId === sessionId) {
+        return { ok: false, error: 'Switch to another session before archiving this one' };
+      }
+      library.archived = library.archived.filter((id) => id !== sessionId);
+      if (archived) library.archived.push(sessionId);
+      writeLibrary(library);
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('list-backups', (event, sessionId) => {
+    try {
+      return listBackupFiles(sessionId).map((backupFile) => {
+        const stat = fs.statSync(path.join(backupDirFor(sessionId), backupFile));
+        let data = null;
+        try {
+          data = readBackupFile(sessionId, backupFile);
+        } catch {}
+        const boxes = isSessionShape(data) ? Object.values(data.boxes) : [];
+        return {
+          file: backupFile,
+          createdAt: stat.mtime.toISOString(),
+          size: stat.size,
+          valid: isSessionShape(data),
+          boxCount: boxes.length,
+          itemCount: boxes.reduce((sum, box) => sum + (Array.isArray(box.items) ? box.items.length : 0), 0)
+        };
+      });
+    } catch (err) {
+      console.error('List backups failed:', err.message);
+      return [];
+    }
+  });
+
+  // Forced backup of the live file, e.g. before the renderer migrates it
+  ipcMain.handle('backup-data', (event, sessionId) => {
+    try {
+      return backupSessionFile(sessionId, true);
+    } catch (err) {
+      console.error('Backup failed:', err.message);
+      return null;
+    }
+  });
+
+  // Returns the backup's data for the renderer to apply; the current file is backed up first
+  ipcMain.handle('restore-backup', (event, sessionId, backupFile) => {
+    try {
+      const data = readBackupFile(sessionId, backupFile);
+      if (!isSessionShape(data)) return null;
+      backupSessionFile(sessionId, true);
+      return data;
+    } catch (err) {
+      console.error('Restore backup failed:', err.message);
+      return null;
+    }
+  });
+
+  ipcMain.handle('delete-session', (event, sessionId) => {
+    try {
+      const library = readLibrary();
+      if (library.activeSessionId === sessionId) {
+        return { ok: false, error: 'Switch to another session before deleting this one' };
+      }
+      fs.unlinkSync(sessionFilePath(sessionId));
+      fs.rmSync(backupDirFor(sessionId), { recursive: true, force: true });
+      fs.rmSync(photoDirFor(sessionId), { recursive: true, force: true });
+      library.archived = library.archived.filter((id) => id !== sessionId);
+      writeLibrary(library);
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  });
+}
+
+// Photo files are only ever added: removing a photo from an item or box can be undone,
+// so the file stays until its session is deleted
+function registerPhotoHandlers() {
+  ipcMain.handle('save-photo', (event, sessionId, fileName, bytes) => {
+    try {
+      const filePath = photoFilePath(sessionId, fileName);
+      const buffer = Buffer.from(bytes);
+      if (buffer.length > PHOTO_MAX_BYTES) {
+        return { ok: false, error: `Photo is larger than ${PHOTO_MAX_BYTES / (1024 * 1024)} MB` };
+      }
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      writeFileAtomic(filePath, buffer);
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('read-photo', (event, sessionId, fileName) => {
+    try {
+      const filePath = photoFilePath(sessionId, fileName);
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+    } catch (err) {
+      console.error('Read photo failed:', err.message);
+      return null;
+    }
+  });
+}
+
+// --- Mobile Remote Server ---
+
+// The desktop renderer owns the live session, so every API call is forwarded to it
+// and answered from its in-memory state. This keeps the desktop the source of truth.
+function requestFromRenderer(action, payload) {
+  return new Promise((resolve, reject) => {
+    if (!mainWindow || mainWindow.isDestroyed()) {
+      reject(new Error('Desktop window is not open'));
+      return;
+    }
+    const requestId = ++remoteRequestSeq;
+    const timer = setTimeout(() => {
+      pendingRemoteRequests.delete(requestId);
+      reject(new Error('Desktop did not respond'));
+    }, REMOTE_TIMEOUT_MS);
+    pendingRemoteRequests.set(requestId, { resolve, reject, timer });
+    mainWindow.webContents.send('remote-request', { requestId, action, payload });
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(body));
+}
+
+function sendFile(res, filePath, contentType) {
+  fs.readFile(filePath, (err, content) => {
+    if (err) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': contentType });
+    res.end(content);
+  });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > REMOTE_MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (!chunks.length) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8')));
+      } catch {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Holds an /api/events response open as a Server-Sent Events stream
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 3000\n\n');
+  remoteEventClients.add(res);
+  req.on('close', () => remoteEventClients.delete(res));
+}
+
+// Pushes a change event from the renderer to every connected phone
+function broadcastRemoteEvent(event) {
+  const frame = `data: ${JSON.stringify(event)}\n\n`;
+  for (const res of remoteEventClients) {
+    res.write(frame);
+  }
+}
+
+// Maps an HTTP route to a renderer action, or null if the route is unknown
+function resolveRemoteRoute(method, pathname, query, body) {
+  if (method === 'GET' && pathname === '/api/boxes') {
+    return { action: 'list-boxes', payload: {} };
+  }
+  if (method === 'GET' && pathname === '/api/summary') {
+    return { action: 'summary', payload: {} };
+  }
+  if (method === 'GET' && pathname === '/api/box') {
+    return { action: 'get-box', payload: { box: query.get('box') || '' } };
+  }
+  if (method === 'POST' && pathname === '/api/item/add') {
+    return { action: 'add-item', payload: body };
+  }
+  if (method === 'POST' && pathname === '/api/missing/mark-found') {
+    return { action: 'mark-found', payload: body };
+  }
+  return null;
+}
+
+async function handleRemoteHttp(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const pathname = url.pathname;
+
+  if (req.method === 'GET' && (pathname === '/' || pathname === '/mobile.html')) {
+    sendFile(res, path.join(REMOTE_DIR, 'mobile.html'), 'text/html; charset=utf-8');
+    return;
+  }
+
+  if (!pathname.startsWith('/api/')) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/api/events') {
+    openEventStream(req, res);
+    return;
+  }
+
+  try {
+    const body = req.method === 'POST' ? await readJsonBody(req) : {};
+    const route = resolveRemoteRoute(req.method, pathname, url.searchParams, body);
+    if (!route) {
+      sendJson(res, 404, { error: 'Unknown endpoint' });
+      return;
+    }
+    const result = await requestFromRenderer(route.action, route.payload);
+    sendJson(res, result.status || 200, result.body || {});
+  } catch (err) {
+    sendJson(res, 503, { error: err.message });
+  }
+}
+
+function getLanAddresses() {
+  const addresses = [];
+  for (const entries of Object.values(os.networkInterfaces())) {
+    for (const entry of entries || []) {
+      if (entry.family === 'IPv4' && !entry.internal) {
+        addresses.push(entry.address);
+      }
+    }
+  }
+  return addresses;
+}
+
+function startRemoteServer() {
+  remoteServer = http.createServer((req, res) => {
+    handleRemoteHttp(req, res);
+  });
+  remoteServer.on('error', (err) => {
+    console.error('Mobile remote server error:', err.message);
+    remoteServer = null;
+  });
+  // Comment frames keep idle streams from being dropped by phones and proxies
+  setInterval(() => {
+    for (const res of remoteEventClients) {
+      res.write(': ping\n\n');
+    }
+  }, REMOTE_HEARTBEAT_MS);
+  remoteServer.listen(REMOTE_PORT, '0.0.0.0', () => {
+    const hosts = getLanAddresses();
+    console.log(`Mobile remote listening on port ${REMOTE_PORT}` + (hosts.length ? ` (${hosts.join(', ')})` : ''));
+  });
+}
+
 // This method will be called when Electron has finished initialization
 app.whenReady().then(() => {
   const exeDir = path.dirname(app.getPath('exe'));
-  const dataDir = path.join(exeDir, 'BoxAuditPortableData');
-  const dataFile = path.join(dataDir, 'box-audit-data.json');
+  dataDir = path.join(exeDir, 'BoxAuditPortableData');
   try {
     if (!fs.existsSync(dataDir)) {
       fs.mkdirSync(dataDir, { recursive: true });
     }
   } catch {}
+  migrateLegacyDataFile();
 
+  // Loads the last active session
   ipcMain.handle('load-data', () => {
     try {
-      if (fs.existsSync(dataFile)) {
-        const raw = fs.readFileSync(dataFile, 'utf-8');
-        return JSON.parse(raw);
+      const { activeSessionId } = readLibrary();
+      if (activeSessionId) {
+        return readSessionFile(activeSessionId);
       }
     } catch {}
     return null;
@@ -57,14 +641,39 @@ app.whenReady().then(() => {
 
   ipcMain.handle('save-data', (event, data) => {
     try {
-      fs.writeFileSync(dataFile, JSON.stringify(data), 'utf-8');
+      writeSessionFile(data);
+      setActiveSession(data.id);
       return true;
     } catch {
       return false;
     }
   });
 
+  registerSessionHandlers();
+  registerPhotoHandlers();
+
+  ipcMain.on('remote-response', (event, requestId, result) => {
+    const pending = pendingRemoteRequests.get(requestId);
+    if (!pending) return;
+    pendingRemoteRequests.delete(requestId);
+    clearTimeout(pending.timer);
+    pending.resolve(result || { status: 500, body: { error: 'Empty response' } });
+  });
+
+  ipcMain.on('remote-event', (event, change) => {
+    broadcastRemoteEvent(change);
+  });
+
+  ipcMain.handle('get-remote-info', () => {
+    if (!remoteServer || !remoteServer.listening) return null;
+    return {
+      port: REMOTE_PORT,
+      urls: getLanAddresses().map((host) => `http://${host}:${REMOTE_PORT}/`)
+    };
+  });
+
   createWindow();
+  startRemoteServer();
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
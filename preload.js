@@ -2,5 +2,29 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
   loadData: () => ipcRenderer.invoke('load-data'),
-  saveData: (data) => ipcRenderer.invoke('save-data', data)
+  saveData: (data) => ipcRenderer.invoke('save-data', data),
+  listSessions: () => ipcRenderer.invoke('list-sessions'),
+  openSession: (sessionId) => ipcRenderer.invoke('open-session', sessionId),
+  readSession: (sessionId) => ipcRenderer.invoke('read-session', sessionId),
+  renameSession: (sessionId, name) => ipcRenderer.invoke('rename-session', sessionId, name),
+  archiveSession: (sessionId, archived) => ipcRenderer.invoke('archive-session', sessionId, archived),
+  deleteSession: (sessionId) => ipcRenderer.invoke('delete-session', sessionId),
+  backupData: (sessionId) => ipcRenderer.invoke('backup-data', sessionId),
+  listBackups: (sessionId) => ipcRenderer.invoke('list-backups', sessionId),
+  restoreBackup: (sessionId, backupFile) => ipcRenderer.invoke('restore-backup', sessionId, backupFile),
+  savePhoto: (sessionId, fileName, bytes) => ipcRenderer.invoke('save-photo', sessionId, fileName, bytes),
+  readPhoto: (sessionId, fileName) => ipcRenderer.invoke('read-photo', sessionId, fileName),
+  getRemoteInfo: () => ipcRenderer.invoke('get-remote-info'),
+  sendRemoteEvent: (event) => ipcRenderer.send('remote-event', event),
+  onRemoteRequest: (handler) => {
+    ipcRenderer.on('remote-request', async (event, request) => {
+      let result;
+      try {
+        result = await handler(request);
+      } catch (err) {
+        result = { status: 500, body: { error: err.message } };
+      }
+      ipcRenderer.send('remote-response', request.requestId, result);
+    });
+  }
 });
@@ -0,0 +1,49 @@
+// Round trips between formatItemEntry and parseItemEntry, run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAppScripts } = require('./load-app');
+
+const { parseItemEntry, formatItemEntry } = loadAppScripts().BoxData;
+
+function pick(entry) {
+    const { name, qty, condition, value, sku, note } = entry;
+    return { name, qty, condition, value, sku, note };
+}
+
+function item(fields) {
+    return { qty: 1, condition: null, value: null, sku: null, note: null, ...fields };
+}
+
+test('names that look like shorthand survive formatting and parsing', () => {
+    const items = [
+        item({ name: 'lamp $5' }),
+        item({ name: '$5 bill' }),
+        item({ name: 'Gift card $25', value: 25 }),
+        item({ name: 'x // y' }),
+        item({ name: 'cable x2' }),
+        item({ name: 'Pair of shoes', qty: 3 }),
+        item({ name: '5 widgets' }),
+        item({ name: 'sku:old box', sku: '0123' }),
+        item({ name: '@home kit', condition: 'fair', note: 'see // photo' }),
+        item({ name: '\\ backslash \\n' })
+    ];
+    for (const original of items) {
+        const text = formatItemEntry(original);
+        assert.deepStrictEqual(pick(parseItemEntry(text)), original, text);
+    }
+});
+
+test('quantity is kept next to an unreadable token', () => {
+    assert.deepStrictEqual(pick(parseItemEntry('lamp x2 $15.999')), item({ name: 'lamp $15.999', qty: 2 }));
+    assert.deepStrictEqual(pick(parseItemEntry('lamp x2 $15 @fair')), item({ name: 'lamp', qty: 2, value: 15, condition: 'fair' }));
+    assert.deepStrictEqual(pick(parseItemEntry('Model x2 charger')), item({ name: 'Model x2 charger' }));
+});
+
+test('typed shorthand still reads as details', () => {
+    assert.deepStrictEqual(
+        pick(parseItemEntry('lamp x2 $15 @dam sku:0123 // chipped base')),
+        item({ name: 'lamp', qty: 2, value: 15, condition: 'damaged', sku: '0123', note: 'chipped base' })
+    );
+    assert.deepStrictEqual(pick(parseItemEntry('3 mugs $4.50')), item({ name: 'mugs', qty: 3, value: 4.5 }));
+    assert.deepStrictEqual(pick(parseItemEntry('\\$5 bill')), item({ name: '$5 bill' }));
+});
@@ -0,0 +1,15 @@
+// The app's scripts are classic browser scripts, so tests load them into one shared context
+// the way index.html does and read their window exports.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadAppScripts(files = ['js/search.js', 'js/data.js']) {
+    const context = vm.createContext({ window: {}, console });
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    }
+    return context.window;
+}
+
+module.exports = { loadAppScripts };
@@ -0,0 +1,51 @@
+// Search query filters, run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAppScripts } = require('./load-app');
+
+const { searchSession } = loadAppScripts().BoxSearch;
+
+function box(names, secondaryLocation = null) {
+    return { items: names.map(([name, qty], i) => ({ id: `${name}-${i}`, name, qty })), completed: false, secondaryLocation };
+}
+
+const session = {
+    boxes: {
+        BOX001: box([['lamp', 1]], 'SHELF 2'),
+        BOX010: box([['mug', 4]], 'SHELF 12'),
+        BOX015: box([['cup', 6]], 'SHELF 2C'),
+        BOX019: box([['vase', 5]], 'SHELF 20'),
+        'SHELF 2B': box([['rope', 2]])
+    }
+};
+
+// Copied into plain arrays: results come from the scripts' own context
+function locations(query) {
+    return Array.from(searchSession(session, query), result => result.location);
+}
+
+function itemNames(query) {
+    return Array.from(searchSession(session, query), result => result.name);
+}
+
+test('shelf: matches the shelf number with any section, or one section', () => {
+    assert.deepStrictEqual(locations('shelf:2'), ['BOX001', 'BOX015', 'SHELF 2B']);
+    assert.deepStrictEqual(locations('shelf:2c'), ['BOX015']);
+    assert.deepStrictEqual(locations('shelf:s2b'), ['SHELF 2B']);
+    assert.deepStrictEqual(locations('shelf:12'), ['BOX010']);
+});
+
+test('box: matches the box number, not every key containing it', () => {
+    assert.deepStrictEqual(locations('box:1'), ['BOX001']);
+    assert.deepStrictEqual(locations('box:010'), ['BOX010']);
+    assert.deepStrictEqual(locations('box:b19'), ['BOX019']);
+    assert.deepStrictEqual(locations('box:shelf'), ['SHELF 2B']);
+});
+
+test('qty comparisons', () => {
+    assert.deepStrictEqual(itemNames('qty>=5'), ['cup', 'vase']);
+    assert.deepStrictEqual(itemNames('qty>5'), ['cup']);
+    assert.deepStrictEqual(itemNames('qty<=2'), ['lamp', 'rope']);
+    assert.deepStrictEqual(itemNames('qty:4'), ['mug']);
+    assert.deepStrictEqual(itemNames('qty>=5 shelf:2'), ['cup']);
+});